@@ -1,5 +1,6 @@
 const fs = require("fs");
 const path = require("path");
+const zlib = require("zlib");
 
 const jsonKeys = {
 	type: "t",
@@ -13,63 +14,149 @@ const includeReferenceTargets = false;
 const formatOutputJson = false;
 const includeDocs = false;
 
-const fhirDir = process.argv.slice(2)[0] || "../fhir/R4";
-const outputFile = process.argv.slice(2)[1] || "../schemas/fhir-schema-r4.json";
+//the last path is the output file when more than one is passed in, so
+//definitions from several packages (e.g., FHIR core and an IG) can be combined
+const args = process.argv.slice(2);
+const includeExtensions = args.includes("--include-extensions");
+const paths = args.filter(arg => arg != "--include-extensions");
+const fhirInputs = paths.length > 1 ? paths.slice(0, -1) : [paths[0] || "../fhir/R4"];
+const outputFile = paths.length > 1 ? paths.at(-1) : "../schemas/fhir-schema-r4.json";
 
-const abstractBundle = bundle => {
-	let definitions = {};
+//read the files in a .tgz FHIR package without unpacking it
+const readPackageFile = packagePath => {
+	const tar = zlib.gunzipSync(fs.readFileSync(packagePath));
+	let files = {};
+	let offset = 0;
+	while (offset + 512 <= tar.length && tar[offset] !== 0) {
+		const header = tar.subarray(offset, offset + 512);
+		const readField = (start, length) => header.subarray(start, start + length).toString("utf-8").replace(/\0.*$/s, "");
+		const prefix = readField(345, 155);
+		const name = (prefix ? prefix + "/" : "") + readField(0, 100);
+		const size = parseInt(readField(124, 12).trim() || "0", 8);
+		const type = readField(156, 1);
+		if (type === "0" || type === "") files[name] = tar.subarray(offset + 512, offset + 512 + size).toString("utf-8");
+		offset += 512 + Math.ceil(size / 512) * 512;
+	}
+	//resources are in the package folder and examples are in folders below it
+	return Object.entries(files)
+		.filter(([name]) => /^package\/[^/]+\.json$/.test(name) && !/\/(package|\.index)\.json$/.test(name))
+		.map(([, content]) => content);
+}
+
+const readPackageDir = dir => {
+	const packageDir = fs.existsSync(path.join(dir, "package")) ? path.join(dir, "package") : dir;
+	return fs.readdirSync(packageDir)
+		.filter(f => f.endsWith(".json") && f !== "package.json" && f !== ".index.json")
+		.map(f => fs.readFileSync(path.join(packageDir, f), "utf-8"));
+}
+
+//FHIR core definitions downloaded from the spec are bundles, and packages have
+//a file for each resource
+const readStructureDefinitions = input => {
+	const inputPath = path.resolve(__dirname, input);
+	if (fs.existsSync(path.join(inputPath, "profiles-resources.json"))) {
+		return ["profiles-resources.json", "profiles-types.json"]
+			.flatMap(file => JSON.parse(fs.readFileSync(path.join(inputPath, file), "utf-8")).entry)
+			.map(entry => entry.resource)
+			.filter(resource => resource.resourceType == "StructureDefinition");
+	}
+	const contents = /\.(tgz|tar\.gz)$/.test(inputPath) ? readPackageFile(inputPath) : readPackageDir(inputPath);
+	return contents
+		.map(content => { try { return JSON.parse(content) } catch (e) { return null } })
+		.filter(resource => resource && resource.resourceType == "StructureDefinition");
+}
+
+//types in logical models and IGs may be referenced by their url
+const typeName = code => /^https?:\/\//.test(code) && !code.startsWith("http://hl7.org/fhirpath/")
+	? code.split("/").at(-1)
+	: code;
+
+const addElement = (definitions, elem, elemPath) => {
+	if (!elem.type && elem.contentReference) {
+		definitions[elemPath] = {
+			[jsonKeys.type]: "ContentReference",
+			[jsonKeys.isArray]: elem.max !== "1" && elem.max !== "0",
+			[jsonKeys.contentReference]: elem.contentReference.split("#").at(-1)
+		}
+	}
+
+	elem.type && elem.type.length && elem.type.forEach( type => {
+		const code = typeName(type.code);
+		const path = elem.type.length === 1 && !elemPath.endsWith("[x]")
+			? elemPath
+			: elemPath.replace("[x]", code[0].toUpperCase() + code.slice(1));
+		const typeExtension = type.extension &&
+			type.extension.find( ext => ext.url === "http://hl7.org/fhir/StructureDefinition/structuredefinition-fhir-type");
+		const outputType = typeExtension
+			? typeExtension.valueUrl
+			: code === "http://hl7.org/fhirpath/System.String" ? "string" : code;
+		const isArray =  elem.max !== "1" && elem.max !== "0";
+		const referenceTargets = type.targetProfile &&
+			type.targetProfile.map( profile => profile.split("/")[profile.split("/").length-1] );
+		definitions[path] = {[jsonKeys.type]: outputType, [jsonKeys.isArray]:isArray};
+		if (includeReferenceTargets) definitions[path][jsonKeys.referenceTargets] = referenceTargets;
+		if (includeDocs) definitions[path][jsonKeys.docs] = elem.short || "";
+	});
+}
+
+//extensions are added as types named Extension:{name} that are found by their url,
+//and the extensions inside of complex extensions as Extension:{name}:{url}
+const addExtension = (definitions, sd) => {
+	const elements = sd.snapshot.element.filter(elem => elem.max !== "0");
+	const sliceUrls = {};
+	elements.filter(elem => /\.extension:[^.]+\.url$/.test(elem.path) && elem.fixedUri)
+		.forEach(elem => sliceUrls[elem.path.slice(0, -4)] = elem.fixedUri);
 
-	bundle.entry
-		.filter( entry =>  entry.resource.resourceType == "StructureDefinition")
-		.forEach( sd => {
-			if (sd.resource.kind !== "complex-type" && sd.resource.kind !== "datatype" && sd.resource.kind !== "resource") return;
-
-			//ignore profiled types (eg. SimpleQuantity) since will build the Quantity schema
-			if (sd.resource.name !== sd.resource.type && sd.resource.type) return;
-
-			if (sd.resource.kind === "resource") {
-				//resourceType doesn't seem to be a field anywhere?
-				definitions[sd.resource.name + ".resourceType"] = {[jsonKeys.type]: "string"};
-				definitions[sd.resource.name] = {[jsonKeys.type]: sd.resource.name,  [jsonKeys.isArray]: true}
-			}
-
-			sd.resource.snapshot.element.forEach( elem => {
-
-				if (!elem.type && elem.contentReference) {
-					definitions[elem.path] = {
-						[jsonKeys.type]: "ContentReference", 
-						[jsonKeys.isArray]: elem.max !== "1" && elem.max !== "0", 
-						[jsonKeys.contentReference]: elem.contentReference.slice(1)
-					}
-				}
-
-				elem.type && elem.type.length && elem.type.forEach( type => {
-					const path = elem.type.length === 1
-						? elem.path
-						: elem.path.replace("[x]", type.code[0].toUpperCase() + type.code.slice(1));
-					const typeExtension = type.extension && 
-						type.extension.find( ext => ext.url === "http://hl7.org/fhir/StructureDefinition/structuredefinition-fhir-type");
-					const outputType = typeExtension
-						? typeExtension.valueUrl
-						: type.code === "http://hl7.org/fhirpath/System.String" ? "string" : type.code;
-					const isArray =  elem.max !== "1" && elem.max !== "0";
-					const referenceTargets = type.targetProfile &&
-						type.targetProfile.map( profile => profile.split("/")[profile.split("/").length-1] );
-					definitions[path] = {[jsonKeys.type]: outputType, [jsonKeys.isArray]:isArray};
-					if (includeReferenceTargets) definitions[path][jsonKeys.referenceTargets] = referenceTargets;
-					if (includeDocs) definitions[path][jsonKeys.docs] = elem.short || "";
-				});
-
-			});
+	const extensionType = "Extension:" + sd.name;
+	definitions[sd.url] = {[jsonKeys.type]: extensionType, [jsonKeys.isArray]: true};
+	elements.forEach( elem => {
+		let elemPath = elem.path.replace(/^Extension/, extensionType);
+		Object.entries(sliceUrls).forEach(([slicePath, url]) => {
+			const typedSlicePath = slicePath.replace(/^Extension/, extensionType);
+			if (elemPath == typedSlicePath || elemPath.startsWith(typedSlicePath + "."))
+				elemPath = typedSlicePath.replace(/\.extension:[^.]+$/, ":" + url) + elemPath.slice(typedSlicePath.length);
 		});
-	return definitions;
+		if (elemPath.includes(":") && !elemPath.includes(".")) {
+			definitions[elemPath] = {[jsonKeys.type]: elemPath, [jsonKeys.isArray]: elemPath == extensionType || elem.max !== "1"};
+		} else if (!/\.extension:/.test(elemPath)) {
+			addElement(definitions, elem, elemPath);
+		}
+	});
 }
 
-const resourceProfiles = fs.readFileSync(path.join(__dirname, fhirDir, "profiles-resources.json"), "utf-8");
-const typeProfiles =  fs.readFileSync(path.join(__dirname, fhirDir, "profiles-types.json"), "utf-8");
-const resourceDefinitions = abstractBundle(JSON.parse(resourceProfiles));
-const typeDefinitions =  abstractBundle(JSON.parse(typeProfiles));
-const definitions = Object.assign(resourceDefinitions, typeDefinitions); 
-console.log("Generated: " + path.join(import.meta.dirname, outputFile));
-fs.writeFileSync(path.join(import.meta.dirname, outputFile), JSON.stringify(definitions, null, formatOutputJson ? 2 : null));
+const abstractDefinitions = structureDefinitions => {
+	let definitions = {};
+
+	structureDefinitions.forEach( sd => {
+		if (!sd.snapshot) return;
+
+		if (includeExtensions && sd.type === "Extension" && sd.derivation === "constraint" && sd.url)
+			return addExtension(definitions, sd);
+
+		if (!["complex-type", "datatype", "resource", "logical"].includes(sd.kind)) return;
+
+		//ignore profiles (eg. SimpleQuantity, US Core Patient) since they have the structure
+		//of the type they constrain. Custom resources and logical models are specializations.
+		if (sd.derivation === "constraint" || (sd.kind !== "logical" && sd.name !== sd.type && sd.type)) return;
+
+		const rootPath = sd.snapshot.element[0].path;
+		if (sd.kind === "resource" || sd.kind === "logical") {
+			//resourceType doesn't seem to be a field anywhere?
+			if (sd.kind === "resource") definitions[rootPath + ".resourceType"] = {[jsonKeys.type]: "string"};
+			definitions[rootPath] = {[jsonKeys.type]: rootPath,  [jsonKeys.isArray]: true}
+		}
+
+		sd.snapshot.element.forEach( elem => addElement(definitions, elem, elem.path) );
+	});
+	return definitions;
+}
 
+const structureDefinitions = fhirInputs.flatMap(readStructureDefinitions);
+//resources are added first so data types with the same name take precedence
+const definitions = abstractDefinitions(
+	structureDefinitions.filter(sd => sd.kind === "resource")
+		.concat(structureDefinitions.filter(sd => sd.kind !== "resource"))
+);
+const outputPath = path.resolve(import.meta.dirname, outputFile);
+console.log("Generated: " + outputPath);
+fs.writeFileSync(outputPath, JSON.stringify(definitions, null, formatOutputJson ? 2 : null));
@@ -0,0 +1,32 @@
+import fs from "fs";
+import path from "path";
+import {fileURLToPath} from "url";
+
+//reads a FHIR Bulk Data $export manifest. Only local files can be read, so the
+//urls must be file urls or paths, which are relative to the manifest.
+export function loadManifest(manifestPath) {
+	const manifest = JSON.parse(fs.readFileSync(manifestPath, "utf-8"));
+	if (!Array.isArray(manifest.output))
+		throw new Error(`${manifestPath} isn't a Bulk Data manifest with an output array`);
+
+	const toPath = url => {
+		if (url.startsWith("file:")) return fileURLToPath(url);
+		if (/^[a-z][a-z0-9+.-]*:\/\//i.test(url))
+			throw new Error(`Only local files can be read from a manifest, but ${url} was listed`);
+		return path.resolve(path.dirname(manifestPath), url);
+	}
+
+	return {
+		output: manifest.output.map(o => ({type: o.type, path: toPath(o.url)})),
+		deleted: (manifest.deleted || []).map(d => toPath(d.url))
+	};
+}
+
+//deleted files are Bundles that can include any resource type, so they're
+//all returned and filtered when they're read
+export function manifestFiles(manifest, resourceType) {
+	return {
+		output: manifest.output.filter(o => o.type == resourceType).map(o => o.path),
+		deleted: manifest.deleted
+	};
+}
@@ -5,7 +5,11 @@ import path from 'path';
 import {Glob} from "bun";
 import {parseArgs} from "util";
 import {templateToQuery} from "./query-builder.js";
-import fhirSchema from "../schemas/fhir-schema-r4.json";
+import {loadTerminology} from "./terminology.js";
+import {toDiagnostics, formatDiagnostics} from "./diagnostics.js";
+import {findFhirRelease, loadFhirSchema, selectFhirRelease} from "./fhir-versions.js";
+import {inputFormats} from "./input-formats.js";
+import {loadManifest} from "./bulk-manifest.js";
 import duckdb from "duckdb";
 import {format} from "sql-formatter";
 
@@ -25,9 +29,22 @@ Options:
   -t, --template <path>         Template file path or @template-name (default: @csv)
   -v, --view-path <path>        Path to search for view definition files (default: ".")
   -p, --view-pattern <pattern>  Glob pattern for view definition files (default: "**/*.vd.json")
-  -s, --schema-file <path>      Custom schema file path (default: built-in FHIR R4 schema)
+  -s, --schema-file <path>      Custom schema file path (default: built-in schema for the FHIR version)
+      --fhir-version <version>  FHIR version of the data: R4|R4B|R5 or a version such as 4.0.1
+                                (default: the view's fhirVersion or R4)
+      --input-format <format>   Format of the FHIR data: ndjson|ndjson.gz|bundle|parquet (default: ndjson)
+      --manifest <path>         Bulk Data export manifest listing the files to read for each resource type
       --macros <path>           Custom macro file or directory (can be repeated)
       --var <name=value>        Values for FHIRPath constants in ViewDefinition (can be repeated)
+      --valueset-path <path>    Directory of ValueSet and CodeSystem JSON files used by memberOf()
+      --conceptmap-path <path>  Directory of ConceptMap JSON files used by translate()
+      --repeat-depth <n>        Maximum levels followed by repeat (default: 5)
+      --column-types <types>    Output column types: fhir|native (default: fhir, which keeps
+                                dates and times as FHIR strings; native makes them DATE,
+                                TIMESTAMP and TIME)
+      --strict-types            Fail when a column's path doesn't match its declared type
+      --allow-unknown-paths     Don't fail on paths to elements that aren't in the schema
+      --diagnostics <format>    Error and warning output: human|json (default: human)
       --param <name=value>      Template parameters (can be used repeated)
       --verbose                 Enable verbose output
       --help                    Show this help message
@@ -162,11 +179,21 @@ const args = parseArgs({
 		},
 		"template": {type: "string", short: "t"},
 		"schema-file": {type: "string", short: "s"},
+		"fhir-version": {type: "string"},
+		"input-format": {type: "string", default: "ndjson"},
+		"manifest": {type: "string"},
 		"macros": {type: "string", multiple: true},
 		"verbose": {type: "boolean"},
 		"mode": {type: "string", short: "m", default: "preview"},
 		"param": {type: "string", multiple: true},
 		"var": {type: "string", multiple: true},
+		"valueset-path": {type: "string"},
+		"conceptmap-path": {type: "string"},
+		"repeat-depth": {type: "string", default: "5"},
+		"column-types": {type: "string", default: "fhir"},
+		"strict-types": {type: "boolean"},
+		"allow-unknown-paths": {type: "boolean"},
+		"diagnostics": {type: "string", default: "human"},
 		"help": {type: "boolean"},
 		"version": {type: "boolean"}
 	}
@@ -199,12 +226,78 @@ const vars = args.values["var"]
 	? Object.fromEntries(args.values["var"].map(v => v.split("=")))
 	: undefined;
 
-const schema = args.values["schema-file"]
+const customSchema = args.values["schema-file"]
 	? JSON.parse(fs.readFileSync(args.values["schema-file"]))
-	: fhirSchema;
+	: null;
+
+if (args.values["fhir-version"] && !findFhirRelease(args.values["fhir-version"])) {
+	console.error("Error: --fhir-version must be R4, R4B, R5 or one of their version numbers");
+	process.exit(1);
+}
+
+if (!inputFormats.includes(args.values["input-format"])) {
+	console.error(`Error: --input-format must be one of ${inputFormats.join(", ")}`);
+	process.exit(1);
+}
+
+let manifest = null;
+if (args.values["manifest"]) {
+	try {
+		manifest = loadManifest(args.values["manifest"]);
+	} catch (e) {
+		console.error(`Error: --manifest ${args.values["manifest"]}: ${e.message}`);
+		process.exit(1);
+	}
+}
+
+if (manifest && args.values["input-format"] == "bundle") {
+	console.error("Error: --manifest can't be used with the bundle input format");
+	process.exit(1);
+}
 
 const customMacros = loadMacros(args.values["macros"]);
 
+const terminologyPaths = [args.values["valueset-path"], args.values["conceptmap-path"]].filter(p => !!p);
+let terminology;
+try {
+	terminology = terminologyPaths.length
+		? loadTerminology(terminologyPaths)
+		: undefined;
+} catch (e) {
+	console.error(`Error: --valueset-path or --conceptmap-path: ${e.message}`);
+	process.exit(1);
+}
+
+const repeatDepth = parseInt(args.values["repeat-depth"]);
+if (!(repeatDepth > 0)) {
+	console.error("Error: --repeat-depth must be a positive integer");
+	process.exit(1);
+}
+
+if (!["fhir", "native"].includes(args.values["column-types"])) {
+	console.error("Error: --column-types must be fhir or native");
+	process.exit(1);
+}
+
+if (!["human", "json"].includes(args.values["diagnostics"])) {
+	console.error("Error: --diagnostics must be human or json");
+	process.exit(1);
+}
+
+//json diagnostics for all of the views are written together once they've been compiled
+let jsonDiagnostics = [];
+function reportDiagnostics(diagnostics, inputPath, viewText) {
+	if (diagnostics.find(d => d.severity == "error"))
+		process.exitCode = 1;
+	if (args.values["diagnostics"] == "json") {
+		jsonDiagnostics = jsonDiagnostics.concat(formatDiagnostics(diagnostics, inputPath, viewText, "json"));
+	} else if (diagnostics.length) {
+		console.error(formatDiagnostics(diagnostics, inputPath, viewText));
+		if (diagnostics.find(d => d.code == "unknown-element" && d.severity == "error"))
+			console.error("Use --allow-unknown-paths to skip the unknown element check.");
+	}
+}
+
 const glob = new Glob(args.values["view-pattern"]);
 
 for (const file of glob.scanSync(args.values["view-path"],{onlyFiles:true})) {
@@ -212,8 +305,28 @@ for (const file of glob.scanSync(args.values["view-path"],{onlyFiles:true})) {
 	const basename = path.basename(inputPath, path.extname(inputPath));
 	const outputPath = path.join(path.dirname(inputPath), basename + ".sql");
 
-	const view = JSON.parse(fs.readFileSync(inputPath));
-	const query = templateToQuery(view, schema, template, params, args.values["verbose"], undefined, customMacros, vars);
+	const viewText = fs.readFileSync(inputPath, "utf-8");
+	const diagnostics = [];
+	let query;
+	try {
+		const view = JSON.parse(viewText);
+		const release = selectFhirRelease(view, args.values["fhir-version"], !!customSchema);
+		const schema = customSchema || loadFhirSchema(release);
+		query = templateToQuery(view, schema, template, params, args.values["verbose"], undefined, customMacros, vars, {
+			terminology,
+			repeatDepth,
+			columnTypes: args.values["column-types"],
+			strictTypes: args.values["strict-types"],
+			allowUnknownPaths: args.values["allow-unknown-paths"],
+			diagnostics,
+			inputFormat: args.values["input-format"],
+			manifest
+		});
+	} catch (e) {
+		diagnostics.push(...toDiagnostics(e, "", e instanceof SyntaxError ? "invalid-json" : "compile-error"));
+	}
+	reportDiagnostics(diagnostics, inputPath, viewText);
+	if (!query) continue;
 	const formattedQuery = formatSQL(query);
 
 	if (args.values["mode"] == "build") {
@@ -229,4 +342,7 @@ for (const file of glob.scanSync(args.values["view-path"],{onlyFiles:true})) {
 		console.log("*** compiling", inputPath, "***");
 		console.log(formattedQuery)
 	}
-}
\ No newline at end of file
+}
+
+if (args.values["diagnostics"] == "json")
+	console.error(JSON.stringify(jsonDiagnostics, null, 2));
\ No newline at end of file
@@ -17,6 +17,214 @@ export function tablesToSql(tables) {
 
 }
 
+//macro suffix, default precision and valid precisions for lowBoundary and highBoundary by input type
+const decimalPrecisions = [...Array(29).keys()];
+const boundaryTypes = {
+	decimal: {macro: "decimal", precision: 8, allowed: decimalPrecisions},
+	integer: {macro: "decimal", precision: 8, allowed: decimalPrecisions},
+	//numeric literals are typed as number
+	number: {macro: "decimal", precision: 8, allowed: decimalPrecisions},
+	date: {macro: "date", precision: 8, allowed: [4, 6, 8]},
+	dateTime: {macro: "datetime", precision: 17, allowed: [4, 6, 8, 10, 12, 14, 17]},
+	instant: {macro: "datetime", precision: 17, allowed: [4, 6, 8, 10, 12, 14, 17]},
+	time: {macro: "time", precision: 9, allowed: [2, 4, 6, 9]}
+}
+
+//DuckDB types of the FHIR types that aren't read and output as strings
+const sqlTypes = {
+	boolean: "BOOLEAN", boolean_expr: "BOOLEAN",
+	integer: "INTEGER", positiveInt: "INTEGER", unsignedInt: "INTEGER",
+	integer64: "BIGINT", decimal: "DOUBLE", number: "DOUBLE"
+}
+
+function toSqlType(fhirType) {
+	if (!fhirType) return;
+	if (sqlTypes[fhirType]) return sqlTypes[fhirType];
+	if (fhirType[0] != fhirType[0].toUpperCase()) return "VARCHAR";
+}
+
+//decimals are read and calculated as DOUBLE and only converted for output columns,
+//with the 18 digits after the decimal point that FHIR decimals can have
+const decimalColumnType = "DECIMAL(38, 18)";
+
+function toColumnSqlType(fhirType) {
+	return ["decimal", "number"].includes(fhirType) ? decimalColumnType : toSqlType(fhirType);
+}
+
+//dates and times stay in their FHIR string format unless native column types are
+//requested since DATE and TIMESTAMP values can't hold partial dates or timezones
+const nativeTypeMacros = {
+	date: "native_date", dateTime: "native_datetime", instant: "native_datetime", time: "native_time"
+}
+
+//groups of FHIR types that can be output as each other without a conversion
+const typeFamilies = {
+	boolean: ["boolean", "boolean_expr"],
+	integer: ["integer", "positiveInt", "unsignedInt", "integer64", "number"],
+	decimal: ["decimal", "integer", "positiveInt", "unsignedInt", "integer64", "number"],
+	dateTime: ["dateTime", "instant"],
+	string: ["string", "code", "id", "markdown", "uri", "url", "canonical", "oid", "uuid", "base64Binary", "xhtml"]
+}
+
+function isCompatibleType(declaredType, fhirType) {
+	if (declaredType == fhirType) return true;
+	const family = typeFamilies[declaredType] || Object.values(typeFamilies).find(f => f.includes(declaredType));
+	return !!family && family.includes(fhirType);
+}
+
+//convert a column value to its declared type (or to a native date type)
+function columnToSql(colName, colValueSql, declaredType, options={}, isCollection) {
+	const fhirType = colValueSql.outputType.fhirType;
+	const outputType = declaredType || fhirType;
+	colName = colName.slice(1, -1);
+
+	if (options.strictTypes && declaredType && fhirType && !isCompatibleType(declaredType, fhirType))
+		throw new Error(`column ${colName} is declared as ${declaredType} but its path returns ${fhirType}`);
+
+	let convert;
+	if (options.columnTypes == "native" && nativeTypeMacros[outputType]) {
+		convert = v => `${nativeTypeMacros[outputType]}(${v})`;
+	} else if (toColumnSqlType(outputType) == decimalColumnType
+		|| (declaredType && toSqlType(declaredType) && toSqlType(declaredType) != toSqlType(fhirType))) {
+		convert = v => `TRY_CAST(${v} AS ${toColumnSqlType(outputType)})`;
+	}
+	if (!convert) return colValueSql.sql;
+
+	const convertValue = options.strictTypes
+		? v => `strict_value(${convert(v)}, ${v}, '${colName}')`
+		: convert;
+	return isCollection
+		? `list_transform(${colValueSql.sql}, v -> ${convertValue("v")})`
+		: convertValue(colValueSql.sql);
+}
+
+//DuckDB functions and macros used for the FHIRPath string and math functions
+//with the min and max number of arguments they take and their output type
+//(a null output type keeps the type of the input)
+const scalarFunctions = {
+	startsWith: {sqlName: "starts_with", args: [1, 1], fhirType: "boolean_expr"},
+	endsWith: {sqlName: "ends_with", args: [1, 1], fhirType: "boolean_expr"},
+	contains: {sqlName: "contains", args: [1, 1], fhirType: "boolean_expr"},
+	matches: {sqlName: "regexp_matches", args: [1, 1], fhirType: "boolean_expr"},
+	substring: {sqlName: "zero_based_substring", args: [1, 2], fhirType: "string"},
+	upper: {sqlName: "upper", args: [0, 0], fhirType: "string"},
+	lower: {sqlName: "lower", args: [0, 0], fhirType: "string"},
+	replace: {sqlName: "replace", args: [2, 2], fhirType: "string"},
+	replaceMatches: {sqlName: "replace_matches", args: [2, 2], fhirType: "string"},
+	length: {sqlName: "length", args: [0, 0], fhirType: "integer"},
+	indexOf: {sqlName: "index_of", args: [1, 1], fhirType: "integer"},
+	trim: {sqlName: "trim", args: [0, 0], fhirType: "string"},
+	split: {sqlName: "string_split", args: [1, 1], fhirType: "string", isArray: true},
+	toChars: {sqlName: "to_chars", args: [0, 0], fhirType: "string", isArray: true},
+	abs: {sqlName: "abs", args: [0, 0], fhirType: null},
+	ceiling: {sqlName: "integer_ceiling", args: [0, 0], fhirType: "integer"},
+	floor: {sqlName: "integer_floor", args: [0, 0], fhirType: "integer"},
+	truncate: {sqlName: "integer_truncate", args: [0, 0], fhirType: "integer"},
+	round: {sqlName: "decimal_round", args: [0, 1], fhirType: "decimal"},
+	sqrt: {sqlName: "safe_sqrt", args: [0, 0], fhirType: "decimal"},
+	exp: {sqlName: "exp", args: [0, 0], fhirType: "decimal"},
+	ln: {sqlName: "safe_ln", args: [0, 0], fhirType: "decimal"},
+	log: {sqlName: "safe_log", args: [1, 1], fhirType: "decimal"},
+	power: {sqlName: "safe_power", args: [1, 1], fhirType: "decimal"},
+	toString: {sqlName: "to_string", args: [0, 0], fhirType: "string"},
+	toInteger: {sqlName: "to_integer", args: [0, 0], fhirType: "integer"},
+	toDecimal: {sqlName: "to_decimal", args: [0, 0], fhirType: "decimal"},
+	toDate: {sqlName: "to_date", args: [0, 0], fhirType: "date"},
+	toDateTime: {sqlName: "to_datetime", args: [0, 0], fhirType: "dateTime"},
+	convertsToString: {sqlName: "converts_to_string", args: [0, 0], fhirType: "boolean_expr"},
+	convertsToInteger: {sqlName: "converts_to_integer", args: [0, 0], fhirType: "boolean_expr"},
+	convertsToDecimal: {sqlName: "converts_to_decimal", args: [0, 0], fhirType: "boolean_expr"},
+	convertsToDate: {sqlName: "converts_to_date", args: [0, 0], fhirType: "boolean_expr"},
+	convertsToDateTime: {sqlName: "converts_to_datetime", args: [0, 0], fhirType: "boolean_expr"},
+	yearOf: {sqlName: "year_of", args: [0, 0], fhirType: "integer"},
+	monthOf: {sqlName: "month_of", args: [0, 0], fhirType: "integer"},
+	dayOf: {sqlName: "day_of", args: [0, 0], fhirType: "integer"},
+	hourOf: {sqlName: "hour_of", args: [0, 0], fhirType: "integer"},
+	minuteOf: {sqlName: "minute_of", args: [0, 0], fhirType: "integer"},
+	secondOf: {sqlName: "second_of", args: [0, 0], fhirType: "integer"},
+	millisecondOf: {sqlName: "millisecond_of", args: [0, 0], fhirType: "integer"}
+}
+
+const integerTypes = ["integer", "integer64", "positiveInt", "unsignedInt"];
+
+//number literals without a decimal point are integers
+function isInteger(query) {
+	const fhirType = query.outputType.fhirType;
+	return integerTypes.includes(fhirType) || (fhirType == "number" && !/[.eE]/.test(query.sql));
+}
+
+//+, -, *, /, div, mod and &
+function arithmeticToSql(operator, left, right) {
+	const bothInteger = isInteger(left) && isInteger(right);
+	const isString = q => q.outputType.fhirType == "string";
+	if (operator == "&")
+		return {sql: `concat(${left.sql}, ${right.sql})`, outputType: {fhirType: "string", isArray: false}};
+	if (operator == "+" && (isString(left) || isString(right)))
+		return {sql: `(${left.sql} || ${right.sql})`, outputType: {fhirType: "string", isArray: false}};
+	if (operator == "/")
+		return {sql: `safe_divide(${left.sql}, ${right.sql})`, outputType: {fhirType: "decimal", isArray: false}};
+	if (operator == "div")
+		return {sql: `integer_divide(${left.sql}, ${right.sql})`, outputType: {fhirType: "integer", isArray: false}};
+	const sqlOperator = operator == "mod" ? "%" : operator;
+	return {
+		sql: `${left.sql} ${sqlOperator} ${right.sql}`,
+		outputType: {fhirType: bothInteger ? "integer" : "decimal", isArray: false}
+	};
+}
+
+const dateTypes = ["date", "dateTime", "instant", "time"];
+
+//DuckDB interval functions for the calendar duration units
+const durationUnits = {
+	year: "to_years", month: "to_months", week: "to_weeks", wk: "to_weeks",
+	day: "to_days", d: "to_days", hour: "to_hours", h: "to_hours",
+	minute: "to_minutes", min: "to_minutes", second: "to_seconds", s: "to_seconds",
+	millisecond: "to_milliseconds", ms: "to_milliseconds"
+}
+
+//date or dateTime plus or minus a calendar duration literal such as 18 years
+function dateArithmeticToSql(operator, left, quantityNodes) {
+	const quantity = quantityNodes.length == 1 && quantityNodes[0].type.fhirType == "Quantity" && quantityNodes[0];
+	const intervalFn = quantity && durationUnits[quantity.unit];
+	if (!["+", "-"].includes(operator) || !intervalFn || left.outputType.fhirType == "time")
+		throw new Error(`${left.outputType.fhirType} arithmetic is only supported when adding or subtracting a calendar duration such as 18 years`);
+	//only seconds and milliseconds can be fractional
+	const amount = ["to_seconds", "to_milliseconds"].includes(intervalFn)
+		? Number(quantity.value) : Math.trunc(Number(quantity.value));
+	const sql = `add_datetime(${left.sql}, ${intervalFn}(${operator == "-" ? -amount : amount}))`;
+	return {sql, outputType: {fhirType: left.outputType.fhirType, isArray: false}};
+}
+
+//in, contains, |, implies and xor
+function collectionOperatorToSql(operator, left, right, type) {
+	const asList = q => q.outputType.isArray ? q.sql : `as_list(${q.sql})`;
+	const asValue = q => q.outputType.isArray ? `as_value(${q.sql})` : q.sql;
+	if (operator == "|") {
+		const sql = `list_distinct(list_concat(${asList(left)}, ${asList(right)}))`;
+		return {sql, outputType: {fhirType: type.fhirType, isArray: true}};
+	}
+	let sql;
+	if (operator == "in") {
+		sql = `in_list(${asValue(left)}, ${asList(right)})`;
+	} else if (operator == "contains") {
+		sql = `in_list(${asValue(right)}, ${asList(left)})`;
+	} else if (operator == "implies") {
+		//NOT and OR are three-valued in SQL, so an empty left operand
+		//is true when the right operand is true and empty otherwise
+		sql = `(NOT (${left.sql}) OR ${right.sql})`;
+	} else {
+		sql = `((${left.sql}) != (${right.sql}))`;
+	}
+	return {sql, outputType: {fhirType: "boolean_expr", isArray: false}};
+}
+
+//lambdas inside of a forEach also name their input el, so when %context is used
+//the element is passed in again under the context's name
+function forEachLambda(node) {
+	if (!node.contextName) return body => `el -> ${body}`;
+	return body => `${node.contextName} -> list_transform([${node.contextName}], el -> ${body})[1]`;
+}
+
 export function astToSql(node, inLambda, inputType={}) {
 
 	function flattenSql(querySegments) {
@@ -81,14 +289,24 @@ export function astToSql(node, inLambda, inputType={}) {
 			return {sql, outputType}
 
 		case 'literal':
-			sql = node.type.fhirType != "dateTime" ? node.value : `(TIMESTAMP '${node.value.replace("T", " ")}')`
+			//wrap literals so functions can be chained onto them
+			sql = node.type.fhirType == "Quantity"
+				? `({'value': ${node.value}, 'unit': '${node.unit}'})`
+				: `(${node.value})`;
 			return {sql, outputType: {fhirType: node.type.fhirType, isArray: false}};
 		
-		//and, or, add, subtract, multiply
+		//logical, membership, union and arithmetic operators
 		case 'components':
 			const components = node.args.map( c => {
 				return flattenSql( astToSql(c, inLambda) );
 			});
+			//unions of numbers are typed as numbers, so collection operators are checked first
+			if (["in", "contains", "|", "implies", "xor"].includes(node.operator))
+				return collectionOperatorToSql(node.operator, components[0], components[1], node.type);
+			if (node.type.fhirType == "number" && dateTypes.includes(components[0].outputType.fhirType))
+				return dateArithmeticToSql(node.operator, components[0], node.args[1]);
+			if (node.type.fhirType == "number")
+				return arithmeticToSql(node.operator, components[0], components[1]);
 			sql = components.map(c => c.sql).join(` ${node.operator} `);
 			outputType = {fhirType: node.type.fhirType == "number" ? "number" : "boolean_expr", isArray: false}
 			return {sql, outputType}
@@ -104,21 +322,35 @@ export function astToSql(node, inLambda, inputType={}) {
 				[rightIsArray, leftIsArray] = [leftIsArray, rightIsArray];
 			}
 
+			//dates, dateTimes and times are compared at their shared precision
+			const isDateComparison = [leftQuery, rightQuery].some(q => dateTypes.includes(q.at(-1).outputType.fhirType));
+			const compare = (l, r) => isDateComparison
+				? `compare_datetime(${l}, ${r}) ${node.operator} 0`
+				: `${l} ${node.operator} ${r}`;
 			if (!leftIsArray) {
-				sql = ["(", flattenSql(leftQuery).sql, node.operator, flattenSql(rightQuery).sql, ")"].join(" ");
+				sql = ["(", compare(flattenSql(leftQuery).sql, flattenSql(rightQuery).sql), ")"].join(" ");
 			} else {
 				sql = ["(",
-					`(${flattenSql(leftQuery).sql}).list_transform(el -> el ${node.operator} (${flattenSql(rightQuery).sql})).list_bool_and()`,
+					`(${flattenSql(leftQuery).sql}).list_transform(el -> ${compare("el", `(${flattenSql(rightQuery).sql})`)}).list_bool_and()`,
 				")"].join("");
 			}
 			return {sql, outputType: {fhirType: "boolean_expr", isArray: false}};
 
+		//parenthesized so functions chained onto $this aren't bound as el.fn() in nested lambdas
 		case 'this':
 			return {
-				sql: inLambda ? "el" : "",
+				sql: inLambda ? "(el)" : "",
 				outputType: inputType
 			}
 
+		//%resource and %rootResource read the row's columns, even inside of a lambda
+		case 'root':
+			return {sql: "", outputType: {}}
+
+		//%context is the element of a forEach, which is named in its lambda
+		case 'context':
+			return {sql: node.name, outputType: {fhirType: node.type.fhirType, isArray: false, isNav: true}}
+
 		case 'fn':
 			const firstArg = node.args[0] && node.args[0][0];
 			// inputType ||= {fhirType:undefined}
@@ -132,20 +364,96 @@ export function astToSql(node, inLambda, inputType={}) {
 				case 'join':
 					sql = `list_aggregate('string_agg', ${(firstArg && firstArg.value) || "''"}).ifnull2('')`;
 					return {sql, outputType: {fhirType: "string", isArray: false}}
+
+				//el is parenthesized inside of a lambda since DuckDB can't bind el.fn() in nested lambdas
+				case 'count':
+					sql = inputType.isArray ? "ifnull2([]).len()" : "as_list().len()";
+					return {sql: (inLambda ? "(el)." : "") + sql, outputType: {fhirType: "integer", isArray: false}}
+
+				case 'distinct':
+				case 'last':
+				case 'single':
+					//a scalar is already a collection of one distinct item
+					if (!inputType.isArray)
+						return {sql: inLambda ? "(el)" : "", outputType: inputType};
+					sql = {distinct: "list_distinct()", last: "slice(-1)", single: "as_value()"}[node.name];
+					return {sql, outputType: {fhirType: inputType.fhirType, isArray: node.name == "distinct"}}
+
+				case 'isDistinct':
+					sql = inputType.isArray ? "is_distinct()" : "as_list().is_distinct()";
+					return {sql: (inLambda ? "(el)." : "") + sql, outputType: {fhirType: "boolean_expr", isArray: false}}
+
+				case 'tail':
+				case 'skip':
+				case 'take':
+					const listSql = inputType.isArray ? "" : "as_list().";
+					const countSql = node.name != "tail" && firstArg
+						? flattenSql(astToSql(node.args[0])).sql
+						: null;
+					if (node.name != "tail" && !countSql)
+						throw new Error(`${node.name} requires the number of items as an argument`);
+					sql = node.name == "tail"
+						? `${listSql}skip_items(1)`
+						: `${listSql}${node.name}_items(${countSql})`;
+					return {sql: (inLambda ? "(el)." : "") + sql, outputType: {fhirType: inputType.fhirType, isArray: true}}
 				
 				case 'where':
+					//compile the whole criteria path, not just its first segment
+					const criteria = node.args[0];
+					const elementType = {...inputType, isArray: false};
 					if (inputType && inputType.isArray) {
-						sql = `list_filter(el -> ${flattenSql(astToSql(firstArg, true)).sql})`;
+						sql = `list_filter(el -> ${flattenSql(astToSql(criteria, true, elementType)).sql})`;
 						outputType = {fhirType: inputType.fhirType, isArray: true}
 					} else if (inputType.fhirType) {
-						sql = `as_list().list_filter(el -> ${flattenSql(astToSql(firstArg, true)).sql}).slice(1)`;
+						sql = `as_list().list_filter(el -> ${flattenSql(astToSql(criteria, true, elementType)).sql}).slice(1)`;
 						outputType = {fhirType: inputType.fhirType, isArray: false}
 					} else {
-						sql = flattenSql(astToSql(firstArg)).sql;			
+						sql = flattenSql(astToSql(criteria)).sql;			
 						outputType = {fhirType: "boolean_expr", isArray: false}
 					}
 					return {sql, outputType}
 
+				case 'all':
+					if (!node.args[0])
+						throw new Error("all requires a criteria argument");
+					//items where the criteria is empty do not count as true
+					const allCriteria = flattenSql(astToSql(node.args[0], true, {...inputType, isArray: false})).sql;
+					//inside a lambda el is passed as an argument since DuckDB can't bind el.fn() in nested lambdas
+					const allTransform = inLambda
+						? `list_transform(${inputType.isArray ? "el" : "as_list(el)"}, el -> ifnull(${allCriteria}, false))`
+						: `${inputType.isArray ? "" : "as_list()."}list_transform(el -> ifnull(${allCriteria}, false))`;
+					sql = `${allTransform}.list_bool_and().ifnull2(true)`;
+					return {sql, outputType: {isArray: false, fhirType: "boolean_expr"}}
+
+				case 'allTrue':
+				case 'anyTrue':
+				case 'allFalse':
+				case 'anyFalse':
+					const booleanMacro = node.name.replace(/[A-Z]/, c => "_" + c.toLowerCase());
+					sql = `${inputType.isArray ? "" : "as_list()."}${booleanMacro}()`;
+					return {sql: (inLambda ? "(el)." : "") + sql, outputType: {isArray: false, fhirType: "boolean_expr"}}
+
+				case 'iif':
+					//the criterion and results are evaluated against each input item
+					const iifInLambda = inLambda || !!inputType.fhirType;
+					const iifElementType = inputType.fhirType ? {...inputType, isArray: false} : inputType;
+					const [criterionSql, ...resultSqls] = node.args.map(a => flattenSql(astToSql(a, iifInLambda, iifElementType)));
+					const resultIsArray = !!resultSqls.find(r => r.outputType.isArray);
+					const [trueSql, otherwiseSql] = resultSqls.map(r => {
+						return resultIsArray && !r.outputType.isArray ? `as_list(${r.sql})` : r.sql;
+					});
+					const caseSql = `CASE WHEN ${criterionSql.sql} THEN ${trueSql} ELSE ${otherwiseSql || "NULL"} END`;
+					outputType = {...resultSqls[0].outputType, isArray: resultIsArray};
+					if (inLambda || !inputType.fhirType) {
+						sql = `(${caseSql})`;
+					} else if (inputType.isArray) {
+						sql = `list_transform(el -> ${caseSql})${resultIsArray ? ".flatten()" : ""}`;
+						outputType = {...outputType, isArray: true};
+					} else {
+						sql = `as_list().list_transform(el -> ${caseSql}).slice(1)`;
+					}
+					return {sql, outputType}
+
 				case 'not':
 					sql = inputType.isArray
 						? "list_bool_and.is_false()"
@@ -171,6 +479,87 @@ export function astToSql(node, inLambda, inputType={}) {
 					} 
 					return {sql, outputType: {isArray: false, fhirType: "boolean_expr"}}
 
+				case 'startsWith': case 'endsWith': case 'contains': case 'matches':
+				case 'substring': case 'upper': case 'lower': case 'replace':
+				case 'replaceMatches': case 'length': case 'indexOf': case 'trim':
+				case 'split': case 'toChars': case 'abs': case 'ceiling': case 'floor':
+				case 'truncate': case 'round': case 'sqrt': case 'exp': case 'ln':
+				case 'log': case 'power': case 'toString': case 'toInteger': case 'toDecimal':
+				case 'toDate': case 'toDateTime': case 'convertsToString': case 'convertsToInteger':
+				case 'convertsToDecimal': case 'convertsToDate': case 'convertsToDateTime':
+				case 'yearOf': case 'monthOf': case 'dayOf': case 'hourOf': case 'minuteOf':
+				case 'secondOf': case 'millisecondOf':
+					const scalarFn = scalarFunctions[node.name];
+					if (node.args.length < scalarFn.args[0] || node.args.length > scalarFn.args[1])
+						throw new Error(`wrong number of arguments for ${node.name}()`);
+					const scalarFnParams = node.args.map((argNodes, i) => {
+						const argSql = flattenSql(astToSql(argNodes)).sql;
+						//FHIRPath uses $1 for capture groups where DuckDB uses \1
+						return node.name == "replaceMatches" && i == 1 ? argSql.replace(/\$(\d)/g, "\\$1") : argSql;
+					});
+					//DuckDB can't bind el.fn() in a lambda nested in another lambda, so el is passed as an argument
+					const scalarFnSql = target => `${scalarFn.sqlName}(${[target, ...scalarFnParams].filter(p => p).join(", ")})`;
+					if (inputType.isArray) {
+						sql = `list_transform(el -> ${scalarFnSql("el")})${scalarFn.isArray ? ".flatten()" : ""}`;
+					} else {
+						sql = scalarFnSql(inLambda ? "el" : "");
+					}
+					return {sql, outputType: {fhirType: scalarFn.fhirType || inputType.fhirType, isArray: !!(inputType.isArray || scalarFn.isArray)}}
+
+				//codes are added by resolveValueSets as 'system|code' keys
+				case 'memberOf':
+					if (!node.codes)
+						throw new Error("memberOf requires ValueSets loaded with --valueset-path");
+					const memberMacro = {Coding: "coding_member_of", CodeableConcept: "concept_member_of"}[inputType.fhirType] || "in_list";
+					const memberCodes = memberMacro == "in_list"
+						? [...new Set(node.codes.map(k => k.slice(k.indexOf("|") + 1)))]
+						: node.codes;
+					const memberList = memberCodes.length
+						? `[${memberCodes.map(c => `'${c.replace(/'/g, "''")}'`).join(", ")}]`
+						: "[]::VARCHAR[]";
+					sql = inputType.isArray
+						? `list_transform(el -> (el).${memberMacro}(${memberList}))`
+						: `${inLambda ? "(el)." : ""}${memberMacro}(${memberList})`;
+					return {sql, outputType: {fhirType: "boolean_expr", isArray: !!inputType.isArray}}
+
+				//mappings are added by resolveTerminology and compiled to an inline lookup table
+				case 'translate':
+					if (!node.mappings)
+						throw new Error("translate requires ConceptMaps loaded with --conceptmap-path");
+					const translateMacro = {Coding: "translate_coding", CodeableConcept: "translate_concept"}[inputType.fhirType] || "translate_code";
+					const mappingSql = node.mappings.map(m => {
+						const fields = ["source", "sourceCode", "system", "code", "display"].map(f => {
+							return `'${f}': ${m[f] === undefined ? "NULL" : `'${String(m[f]).replace(/'/g, "''")}'`}`;
+						});
+						return `{${fields.join(", ")}}`;
+					}).join(", ");
+					sql = inputType.isArray
+						? `list_transform(el -> (el).${translateMacro}([${mappingSql}])).flatten()`
+						: `${inLambda ? "(el)." : ""}${translateMacro}([${mappingSql}])`;
+					return {sql, outputType: {fhirType: "Coding", isArray: true}}
+
+				//these take no input so are never prefixed with 'el'
+				case 'today':
+				case 'now':
+				case 'timeOfDay':
+					sql = {today: "today_string()", now: "now_string()", timeOfDay: "time_of_day_string()"}[node.name];
+					return {sql, outputType: {fhirType: {today: "date", now: "dateTime", timeOfDay: "time"}[node.name], isArray: false}}
+
+				case 'lowBoundary':
+				case 'highBoundary':
+					const boundary = boundaryTypes[inputType.fhirType];
+					if (!boundary)
+						throw new Error(`${node.name} is only supported on decimal, date, dateTime and time values (found ${inputType.fhirType})`);
+					const precision = firstArg ? parseInt(firstArg.value) : boundary.precision;
+					if (!boundary.allowed.includes(precision))
+						throw new Error(`${node.name} precision for ${inputType.fhirType} values must be one of ${boundary.allowed.join(", ")}`);
+					const boundaryMacro = `${node.name == "lowBoundary" ? "low" : "high"}_boundary_${boundary.macro}(${precision})`;
+					sql = inputType.isArray
+						? `list_transform(el -> (el).${boundaryMacro})`
+						: `${inLambda ? "(el)." : ""}${boundaryMacro}`;
+					outputType = {fhirType: boundary.macro == "decimal" ? "decimal" : inputType.fhirType, isArray: inputType.isArray};
+					return {sql, outputType}
+
 				//non-standard
 				case '_splitPath':
 					return inputType && inputType.isArray
@@ -183,32 +572,63 @@ export function astToSql(node, inLambda, inputType={}) {
 							outputType: {isArray: false, fhirType: "string"}
 						}
 
+				//non-standard - references to contained resources start with # and their
+				//ids are only unique within the container, so their keys include its id
+				case '_referenceKey':
+				case '_referenceType':
+				case '_containedKey':
+				case 'resolve':
+					const referenceMacro = {
+						_referenceKey: "reference_key", _referenceType: "reference_type",
+						_containedKey: "contained_key", resolve: "resolve_contained"
+					}[node.name];
+					const rootArgSql = flattenSql(astToSql(node.rootArgs[0])).sql;
+					//resources joined by buildQuery are in a column named by the join's alias
+					const referenceSql = node.joinAlias
+						? `resolve_reference(${rootArgSql}, ${node.joinAlias})`
+						: `${referenceMacro}(${rootArgSql})`;
+					sql = inputType.isArray
+						? `list_transform(el -> (el).${referenceSql})${node.name == "resolve" ? ".flatten()" : ""}`
+						: `${inLambda ? "(el)." : ""}${referenceSql}`;
+					return {sql, outputType: {fhirType: node.type.fhirType, isArray: !!inputType.isArray || node.name == "resolve"}}
+
 				//non-standard
 				case '_col':
 				case '_col_collection':
 					const colName = firstArg.value;
-					const colValue = node.args[1].at(-1);
-					let colValueSql = flattenSql(astToSql(node.args[1], inLambda, inputType));
+					try {
+						const colValue = node.args[1].at(-1);
+						let colValueSql = flattenSql(astToSql(node.args[1], inLambda, inputType));
 					
-					// This validation can only really be run at runtime since a collection that happens
-					// to have one value is treated as a non-collection and doesn't need the collection tag. 
-					// if (node.name != "_col_collection" && colValueSql.outputType.isArray)
-					// 	throw new Error("path in columns with collection set to true must return a collection");
-
-					if (node.name == "_col_collection" && !colValueSql.outputType.isArray)
-						throw new Error("path in columns with collection set to false must not return a collection");
-
-					//if array of non-array type then slice by default (should this be a setting?)
-					if (colValue.segmentType == "nav" && colValueSql.outputType.isArray && node.name !== "_col_collection") {
-							colValueSql.sql += ".as_value()"
-					} else if (node.name == "_col_collection") {
-						colValueSql.sql += ".ifnull2([])"
+						// This validation can only really be run at runtime since a collection that happens
+						// to have one value is treated as a non-collection and doesn't need the collection tag. 
+						// if (node.name != "_col_collection" && colValueSql.outputType.isArray)
+						// 	throw new Error("path in columns with collection set to true must return a collection");
+
+						if (node.name == "_col_collection" && !colValueSql.outputType.isArray)
+							throw new Error("path in columns with collection set to false must not return a collection");
+
+						//if array of non-array type then slice by default (should this be a setting?)
+						if (colValue.segmentType == "nav" && colValueSql.outputType.isArray && node.name !== "_col_collection") {
+								colValueSql.sql += ".as_value()"
+						} else if (node.name == "_col_collection") {
+							colValueSql.sql += ".ifnull2([])"
+						}
+						const declaredType = node.args[2] && node.args[2][0].value.slice(1, -1);
+						const colSql = columnToSql(colName, colValueSql, declaredType, node.columnOptions, node.name == "_col_collection");
+						return {sql: `${colName}: ${colSql}`, outputType: colValueSql.outputType};
+					} catch (e) {
+						//errors are collected for each column so they can all be reported together
+						if (e.columnName === undefined) e.columnName = colName.slice(1, -1);
+						if (!node.columnOptions || !node.columnOptions.errors) throw e;
+						node.columnOptions.errors.push(e);
+						return {sql: `${colName}: NULL`, outputType: {isArray: false}};
 					}
-					return {sql: `${colName}: ${colValueSql.sql}`, outputType: colValueSql.outputType};
 			
 				//non-standard
 				case '_forEach':
 				case '_forEachOrNull':
+					const eachLambda = forEachLambda(node);
 
 					//TODO: error if each arg is not a col function
 					const orNullSql = node.name == "_forEachOrNull" 
@@ -221,11 +641,11 @@ export function astToSql(node, inLambda, inputType={}) {
 						outputType = {fhirType: inputType.fhirType, isArray: false};
 					} else if (inputType.fhirType && !inputType.isArray) {
 						const cols = node.args.map(a => astToSql(a, true, inputType)).map(flattenSql).map(a => a.sql).join(",");
-						sql = `as_list().list_transform(el -> {${cols}})${orNullSql}`;
+						sql = `as_list().list_transform(${eachLambda(`{${cols}}`)})${orNullSql}`;
 						outputType = {fhirType: inputType.fhirType, isArray: true};
 					} else {
 						const cols = node.args.map(a => astToSql(a, true, inputType)).map(flattenSql).map(a => a.sql).join(",");
-						sql = `${inLambda ? "el.as_list()." : ""}list_transform(el -> {${cols}})${orNullSql}`;
+						sql = `${inLambda ? "el.as_list()." : ""}list_transform(${eachLambda(`{${cols}}`)})${orNullSql}`;
 						outputType = {fhirType: inputType.fhirType, isArray: true};
 					}
 					return {sql, outputType}
@@ -247,6 +667,58 @@ export function astToSql(node, inLambda, inputType={}) {
 						outputType: unions.length ? unions[0].outputType : {isArray: true}
 					};
 
+				//non-standard - the rows of a unionAll branch with nested selects, built from
+				//the cross product of its columns and the rows of each nested select
+				case '_rows':
+					const isCol = a => a.length == 1 && ["_col", "_col_collection"].includes(a[0].name);
+					const colArgs = node.args.filter(isCol);
+					const rowParts = node.args.filter(a => !isCol(a)).map(a => {
+						const flat = flattenSql(astToSql(a, inLambda, inputType));
+						return {
+							sql: flat.outputType.isArray ? `coalesce(${flat.sql}, [])` : `[${flat.sql}]`,
+							columns: flat.outputType.columns
+						};
+					});
+					if (colArgs.length) {
+						const cols = colArgs.map(a => flattenSql(astToSql(a, inLambda, inputType)).sql);
+						rowParts.unshift({sql: `[{${cols.join(",")}}]`, columns: colArgs.map(a => a[0].args[0][0].value.slice(1, -1))});
+					}
+					const rows = rowParts.slice(1).reduce((left, right) => {
+						const fields = left.columns.map(c => `${c}: x.${c}`)
+							.concat(right.columns.map(c => `${c}: y.${c}`));
+						return {
+							sql: `flatten(list_transform(${left.sql}, x -> list_transform(${right.sql}, y -> {${fields.join(",")}})))`,
+							columns: left.columns.concat(right.columns)
+						};
+					}, rowParts[0]);
+					return {sql: rows.sql, outputType: {isArray: true, columns: rows.columns}};
+
+				case '_forEachRows':
+				case '_forEachOrNullRows':
+					const elementRows = flattenSql(astToSql(node.args[0], true, {...inputType, isArray: false}));
+					return {
+						sql: `${inputType.isArray ? "" : "as_list()."}list_transform(${forEachLambda(node)(elementRows.sql)}).flatten()${node.name == "_forEachOrNullRows" ? ".ifnull2([NULL])" : ""}`,
+						outputType: elementRows.outputType
+					};
+
+				//repeat() unrolled by the parser into a branch per level of the projection
+				case '_repeat':
+					const isRepeatRoot = !inputType.fhirType || inLambda;
+					const levels = node.args.map(a => {
+						const flat = flattenSql(astToSql(a, isRepeatRoot ? inLambda : true, isRepeatRoot ? inputType : {...inputType, isArray: false}));
+						return {
+							sql: flat.outputType.isArray ? `coalesce(${flat.sql}, [])` : `as_list(${flat.sql})`,
+							outputType: {...flat.outputType, isArray: true}
+						}
+					});
+					const levelSql = levels.map(l => l.sql).join(" || ");
+					return {
+						sql: isRepeatRoot
+							? `(${levelSql})`
+							: `${inputType.isArray ? "" : "as_list()."}list_transform(el -> ${levelSql}).flatten()`,
+						outputType: levels[0].outputType
+					};
+
 				//non-standard
 				case '_invoke':
 					const macroName = firstArg.value.replace(/^['"]|['"]$/g, ''); // Remove quotes
@@ -296,11 +768,11 @@ export function astToSql(node, inLambda, inputType={}) {
 					return {sql, outputType};
 
 				default:
-					throw(`function ${JSON.stringify(node)} not handled`)
+					throw new Error(`function ${node.name}() is not supported`);
 			}
 
 			default:
-				throw(`${JSON.stringify(node)} not handled`)
+				throw new Error(`unsupported ${node.segmentType} expression`);
 	}
 }
 
@@ -312,15 +784,10 @@ export function pathsToSchema(node, isInRoot=true) {
 
 	const arrayIndicator = node.isArray ? "[]" : "";
 	let sqlType;
-	if (!node.fhirType) console.log(`${JSON.stringify(node)} is of an unknown type`)
 	if (node.children.length) {
 		sqlType = `STRUCT(${node.children.map(c => pathsToSchema(c, false)).join(", ")})${arrayIndicator}`
-	} else if (node.fhirType == "decimal") {
-		sqlType = `DOUBLE${arrayIndicator}`;
-	} else if (["boolean", "integer"].indexOf(node.fhirType) > -1) {
-		sqlType = `${node.fhirType.toUpperCase()}${arrayIndicator}`;
-	} else if (node.fhirType && node.fhirType[0] != node.fhirType[0].toUpperCase()) {
-		sqlType = `VARCHAR${arrayIndicator}`;
+	} else if (toSqlType(node.fhirType)) {
+		sqlType = `${toSqlType(node.fhirType)}${arrayIndicator}`;
 	} else {
 		sqlType = `JSON${arrayIndicator}`;
 	}
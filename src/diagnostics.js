@@ -0,0 +1,100 @@
+//a problem found while compiling a ViewDefinition. The pointer is a JSON
+//pointer to the element in the ViewDefinition and the span is the start and
+//end offset of the problem within that element's FHIRPath expression.
+export function createDiagnostic(code, message, pointer="", span=null, severity="error") {
+	return {severity, code, message, pointer, span};
+}
+
+//thrown with all of the errors found in a step so they can be reported together
+export class DiagnosticError extends Error {
+	constructor(diagnostics) {
+		super(diagnostics.map(d => d.message).join("\n"));
+		this.diagnostics = diagnostics;
+	}
+}
+
+//errors thrown without diagnostics are reported against the element that was being compiled
+export function toDiagnostics(error, pointer="", code="compile-error") {
+	if (error instanceof DiagnosticError) return error.diagnostics;
+	const message = error instanceof Error ? error.message : String(error);
+	return [createDiagnostic(code, message, pointer)];
+}
+
+//find the line and column of the value at a JSON pointer in the text of a JSON file
+export function locatePointer(jsonText, pointer) {
+	const target = pointer ? pointer.split("/").slice(1).map(p => p.replace(/~1/g, "/").replace(/~0/g, "~")) : [];
+	let position = 0;
+	const skipWhitespace = () => {
+		while (/\s/.test(jsonText[position] || "")) position++;
+	}
+	const skipString = () => {
+		position++;
+		while (position < jsonText.length && jsonText[position] != '"')
+			position += jsonText[position] == "\\" ? 2 : 1;
+		position++;
+	}
+	const skipValue = () => {
+		skipWhitespace();
+		if (jsonText[position] == '"') return skipString();
+		if (jsonText[position] == "{" || jsonText[position] == "[") {
+			let depth = 0;
+			do {
+				if (jsonText[position] == '"') { skipString(); continue; }
+				if (jsonText[position] == "{" || jsonText[position] == "[") depth++;
+				if (jsonText[position] == "}" || jsonText[position] == "]") depth--;
+				position++;
+			} while (depth > 0 && position < jsonText.length);
+			return;
+		}
+		while (position < jsonText.length && !/[,\]}\s]/.test(jsonText[position])) position++;
+	}
+
+	//move into each object property or array item in the pointer
+	skipWhitespace();
+	for (const key of target) {
+		const container = jsonText[position];
+		if (container != "{" && container != "[") break;
+		position++;
+		let index = 0;
+		let found = false;
+		while (position < jsonText.length) {
+			skipWhitespace();
+			if (jsonText[position] == "}" || jsonText[position] == "]") break;
+			let isMatch;
+			if (container == "{") {
+				const start = position;
+				skipString();
+				isMatch = JSON.parse(jsonText.slice(start, position)) == key;
+				skipWhitespace();
+				position++; //colon
+			} else {
+				isMatch = String(index) == key;
+			}
+			skipWhitespace();
+			if (isMatch) { found = true; break; }
+			skipValue();
+			skipWhitespace();
+			if (jsonText[position] == ",") position++;
+			index++;
+		}
+		if (!found) break;
+	}
+
+	const before = jsonText.slice(0, position).split("\n");
+	return {line: before.length, column: before.at(-1).length + 1, offset: position};
+}
+
+//human output follows the file:line:column convention that editors and CI tools recognize
+export function formatDiagnostics(diagnostics, file, jsonText, format="human") {
+	const located = diagnostics.map(d => {
+		const {line, column, offset} = jsonText ? locatePointer(jsonText, d.pointer) : {line: 1, column: 1};
+		//point to the problem within the expression string (+1 for the opening quote)
+		const spanOffset = d.span && jsonText && jsonText[offset] == '"' ? d.span.start + 1 : 0;
+		return {file, line, column: column + spanOffset, ...d};
+	});
+	if (format == "json") return located;
+	return located.map(d => {
+		const span = d.span ? ` (characters ${d.span.start}-${d.span.end})` : "";
+		return `${d.file}:${d.line}:${d.column}: ${d.severity} ${d.code}: ${d.message}${d.pointer ? ` at ${d.pointer}` : ""}${span}`;
+	}).join("\n");
+}
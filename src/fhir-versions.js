@@ -0,0 +1,49 @@
+import fs from "fs";
+import path from "path";
+import {createDiagnostic, DiagnosticError} from "./diagnostics.js";
+
+//FHIR releases with a bundled schema. Versions are matched on their major and
+//minor version number, so 4.0.1 and 4.0.0 both use the R4 schema.
+export const fhirReleases = [
+	{name: "R4", version: "4.0", schemaFile: "fhir-schema-r4.json"},
+	{name: "R4B", version: "4.3", schemaFile: "fhir-schema-r4b.json"},
+	{name: "R5", version: "5.0", schemaFile: "fhir-schema-r5.json"}
+];
+
+export const defaultFhirRelease = fhirReleases[0];
+
+//accepts a release name (e.g., R4B) or a version (e.g., 4.3.0)
+export function findFhirRelease(version) {
+	const normalized = String(version).trim().toUpperCase();
+	return fhirReleases.find(r => r.name == normalized || normalized.split(".").slice(0, 2).join(".") == r.version);
+}
+
+const loadedSchemas = {};
+export function loadFhirSchema(release) {
+	if (!loadedSchemas[release.name]) {
+		const schemaPath = path.join(import.meta.dir, "../schemas", release.schemaFile);
+		loadedSchemas[release.name] = JSON.parse(fs.readFileSync(schemaPath, "utf-8"));
+	}
+	return loadedSchemas[release.name];
+}
+
+//use the selected version when there is one and otherwise the first version
+//listed in the ViewDefinition that has a bundled schema
+export function selectFhirRelease(vd, fhirVersion, hasCustomSchema) {
+	const viewVersions = [].concat(vd.fhirVersion || []);
+	const fail = message => {
+		throw new DiagnosticError([createDiagnostic("incompatible-fhir-version", message, "/fhirVersion")]);
+	}
+
+	if (fhirVersion) {
+		const release = findFhirRelease(fhirVersion);
+		if (viewVersions.length && !viewVersions.find(v => findFhirRelease(v) == release))
+			fail(`ViewDefinition supports FHIR ${viewVersions.join(", ")} but FHIR ${fhirVersion} was selected`);
+		return release;
+	}
+
+	const release = viewVersions.map(findFhirRelease).find(r => !!r);
+	if (!release && viewVersions.length && !hasCustomSchema)
+		fail(`No schema is included for FHIR ${viewVersions.join(", ")}. Use --schema-file to provide one.`);
+	return release || defaultFhirRelease;
+}
@@ -1,16 +1,20 @@
 import fhirpath from "fhirpath";
 
-export function fhirpathToAst(path, resourceType, schema, vars) {
+export const defaultRepeatDepth = 5;
+
+export function fhirpathToAst(path, resourceType, schema, vars, repeatDepth=defaultRepeatDepth) {
 	const parsedPath = fhirpath.parse(path);
-	return simplifyFhirPath(parsedPath, {schemaPath: resourceType}, schema, vars || {});
+	const rootType = {schemaPath: resourceType, isRoot: true};
+	const ast = simplifyFhirPath(parsedPath, rootType, schema, vars || {}, {rootType});
+	return expandRepeats(ast, schema, repeatDepth);
 }
 
-function simplifyFhirPath(node, type = null, schema = {}, vars = {}) {
+function simplifyFhirPath(node, type = null, schema = {}, vars = {}, env = {}) {
 
 	switch (node.type) {
 		case undefined:
 		case 'EntireExpression':
-			const exprNodes = simplifyFhirPath(node.children[0], type, schema, vars);
+			const exprNodes = simplifyFhirPath(node.children[0], type, schema, vars, env);
 			return {
 				segmentType: "expr",
 				children: Array.isArray(exprNodes) ? exprNodes : [exprNodes],
@@ -18,7 +22,7 @@ function simplifyFhirPath(node, type = null, schema = {}, vars = {}) {
 			}
 
 		case 'ParenthesizedTerm':
-			const parenNodes = simplifyFhirPath(node.children[0], type, schema, vars);
+			const parenNodes = simplifyFhirPath(node.children[0], type, schema, vars, env);
 			return [{
 				segmentType: "paren",
 				children: Array.isArray(parenNodes) ? parenNodes : [parenNodes],
@@ -30,36 +34,44 @@ function simplifyFhirPath(node, type = null, schema = {}, vars = {}) {
 		case 'MultiplicativeExpression':
 		case 'AndExpression':
 		case 'OrExpression':
+		case 'ImpliesExpression':
+		case 'MembershipExpression':
+		case 'UnionExpression':
 		case 'InequalityExpression':
 		case 'EqualityExpression':
-			const components = node.children.map(c => simplifyFhirPath(c, type, schema, vars));
-			const exprFhirType = /Add|Sub|Mult/.test(node.type) ? "number" : "boolean"
+			const components = node.children.map(c => simplifyFhirPath(c, type, schema, vars, env));
+			const exprFhirType = /Add|Sub|Mult/.test(node.type) ? "number" : "boolean";
 			const isComparison = /Inequality|Equality/.test(node.type);
 			return [{
 				segmentType: isComparison ? "comparison" : "components",
 				operator: node.terminalNodeText[0],
 				args: components, isComparison,
-				type: exprFhirType
+				//a union is a collection of the left operand's type
+				type: node.type == "UnionExpression"
+					? { ...components[0].at(-1).type, isArray: true }
+					: { fhirType: exprFhirType, isArray: false }
 			}]
 
+		//is and as operators
+		case 'TypeExpression':
+			const operandNodes = simplifyFhirPath(node.children[0], type, schema, vars, env);
+			const typeSpecifier = node.children[1].text.split(".").at(-1);
+			const isCheck = node.terminalNodeText[0] == "is";
+			return castPath(isCheck ? operandNodes : joinReference(operandNodes, typeSpecifier, type, schema), typeSpecifier, isCheck, schema);
+
 		case 'InvocationExpression':
 		case 'IndexerExpression':
 			if (node.terminalNodeText[0] == '.' || node.terminalNodeText[0] == '[') {
 
-				let beforeNavigation = simplifyFhirPath(node.children[0], type, schema, vars)
-				let navigationNode = simplifyFhirPath(node.children[1], beforeNavigation.at(-1).type, schema, vars)
-
-				//redo last navigation value and schema in the context of ofType param
-				//this is a bit hacky
-				if (navigationNode[0].name == "ofType") {
-					let lastNav = beforeNavigation.slice().reverse().find(n => n.segmentType == "nav");
-					const inputTypeNode = beforeNavigation.slice().reverse().find(n => n.type.fhirType);
-					const targetType = navigationNode[0].args[0][0].value;
-					const newValue = lastNav.value + targetType[0].toUpperCase() + targetType.slice(1);
-					let segmentFhirType = resolveType(inputTypeNode ? inputTypeNode.type : type, newValue, schema);
-					lastNav.type = segmentFhirType;
-					lastNav.value = newValue;
-					return beforeNavigation;
+				let beforeNavigation = simplifyFhirPath(node.children[0], type, schema, vars, env)
+				let navigationNode = simplifyFhirPath(node.children[1], beforeNavigation.at(-1).type, schema, vars, env)
+
+				//type functions narrow the path before them rather than adding a segment
+				if (["ofType", "as", "is"].includes(navigationNode[0].name)) {
+					const targetType = navigationNode[0].args[0].at(-1).value;
+					const isCheck = navigationNode[0].name == "is";
+					if (!isCheck) beforeNavigation = joinReference(beforeNavigation, targetType, type, schema);
+					return castPath(beforeNavigation, targetType, isCheck, schema);
 				}
 
 				if (node.terminalNodeText[0] === '[' || navigationNode[0].name == "first") {
@@ -79,27 +91,49 @@ function simplifyFhirPath(node, type = null, schema = {}, vars = {}) {
 		case 'InvocationTerm':
 		case 'MemberInvocation':
 			if (node.children.length === 1)
-				return simplifyFhirPath(node.children[0], type, schema, vars);
+				return simplifyFhirPath(node.children[0], type, schema, vars, env);
 
 		case 'Identifier':
 			const nodeText = node.terminalNodeText[0];
 			let segmentFhirType = resolveType(type, nodeText, schema);
+			if (nodeText == "contained" && segmentFhirType.fhirType == "Resource")
+				segmentFhirType.isContained = true;
+			if (type.isResolved && !segmentFhirType.fhirType)
+				throw new Error(`The type of the resource returned by resolve() can't be determined for '${nodeText}'. Select it with ofType() (e.g., subject.resolve().ofType(Patient).${nodeText}).`);
+			const typedElement = !segmentFhirType.fhirType && singleChoiceElement(type, nodeText, schema);
+			if (typedElement)
+				return [{ segmentType: "nav", value: typedElement, type: resolveType(type, typedElement, schema) }]
 			return [{ segmentType: "nav", value: nodeText, type: segmentFhirType }]
 
 		case 'FunctionInvocation':
 			const functionName = node.children[0].children[0].terminalNodeText[0];
-			const args = (node.children[0].children[1]?.children || []).map((param) => {
-				return simplifyFhirPath(param, type, schema, vars)
+			//the arguments of type functions are type names rather than elements
+			const argType = ["ofType", "as", "is"].includes(functionName) ? { ...type, isResolved: false } : type;
+			//the elements of a forEach are the %context of the paths inside of it
+			const argEnv = forEachFunctions.includes(functionName) && type.fhirType ? forEachEnv(type, env, schema) : env;
+			const args = (node.children[0].children[1]?.children || []).map((param, i, params) => {
+				try {
+					return simplifyFhirPath(param, argType, schema, vars, argEnv)
+				} catch (e) {
+					//tag errors with the column they occurred in so they can be located in the view
+					if (/^_col/.test(functionName) && e.columnName === undefined)
+						e.columnName = params[0].text.slice(1, -1);
+					throw e;
+				}
 			});
 
 			let outputType;
 
 			if (functionName == "extension") {
+				//extensions from definitions in the schema are typed by their url
+				const url = String(args[0][0].value).slice(1, -1);
+				const extensionSchema = schema[url] || schema[`${type.schemaPath}:${url}`];
+				const extensionPath = extensionSchema ? extensionSchema.t : "Extension";
 				return [{
 					segmentType: "nav",
 					value: "extension",
 					type: {
-						isArray: true, fhirType: "Extension", schemaPath: "Extension"
+						isArray: true, fhirType: "Extension", schemaPath: extensionPath
 					}
 				}, {
 					segmentType: "fn",
@@ -118,76 +152,122 @@ function simplifyFhirPath(node, type = null, schema = {}, vars = {}) {
 						type: { isArray: false, fhirType: "boolean" }
 					}]],
 					type: {
-						isArray: true, fhirType: "Extension", schemaPath: "Extension"
+						isArray: true, fhirType: "Extension", schemaPath: extensionPath
 					}
 				}];
 			}
 
+			//contained resources are only unique within their container, so their keys
+			//start with the container's id, which is read from the root of the resource
 			if (functionName == "getResourceKey") {
-				return [{
-					segmentType: "nav",
-					value: "id",
-					type: { isArray: false, fhirType: "string", schemaPath: "id" }
-				}]
+				if (!type.isContained) return [idNav()];
+				return [idNav(), {
+					segmentType: "fn", name: "_containedKey", args: [], rootArgs: [[idNav()]],
+					type: { isArray: false, fhirType: "string" }
+				}];
 			}
 
-			if (functionName == "getReferenceKey" && args[0]) {
-				return [{
+			if (functionName == "getReferenceKey" || functionName == "resolve") {
+				const referenceNav = {
 					segmentType: "nav", value: "reference",
 					type: { isArray: false, fhirType: "string", schemaPath: "Reference.reference" }
-				}, {
+				};
+				const referenceKey = {
+					segmentType: "fn", name: "_referenceKey", args: [], rootArgs: [[idNav()]],
+					type: { isArray: false, fhirType: "string" }
+				};
+
+				//references to contained resources start with #
+				if (functionName == "resolve" && type.fhirType != "Reference")
+					throw new Error("resolve() can only be used on a Reference");
+				if (functionName == "resolve") return [referenceNav, {
+					segmentType: "fn", name: "resolve", args: [], rootArgs: containedArgs(),
+					type: { isArray: true, fhirType: "Resource", schemaPath: "Resource", isContained: true, isResolved: true }
+				}];
+
+				if (!args[0]) return [referenceNav, referenceKey];
+
+				//the type of a contained resource is found by looking it up
+				return [referenceNav, {
 					segmentType: "fn",
 					name: "where",
 					args: [[{
 						segmentType: "comparison", operator: "=", args: [[{
-							segmentType: "fn", name: "_splitPath",
-							args: [[{
-								segmentType: "literal", value: -2,
-								type: { isArray: false, fhirType: "number" }
-							}]],
-							type: { isArray: false, fhirType: "string", schemaPath: "Reference.reference" }
+							segmentType: "fn", name: "_referenceType", args: [], rootArgs: containedArgs(),
+							type: { isArray: false, fhirType: "string" }
 						}], [{
 							segmentType: "literal", value: "'" + args[0][0].value + "'",
 							type: { isArray: false, fhirType: "string" }
 						}]],
 						type: { isArray: false, fhirType: "boolean" }
 					}]],
-					type: {
-						isArray: true, fhirType: "Extension", schemaPath: "Extension"
-					}
-				}, {
-					segmentType: "fn", name: "_splitPath",
-					args: [[{
-						segmentType: "literal", value: -1,
-						type: { isArray: false, fhirType: "number" }
-					}]],
-					type: { isArray: false, fhirType: "string", schemaPath: "Reference.reference" }
-				}];
+					type: referenceNav.type
+				}, referenceKey];
+			}
 
+			//navigation after iif continues from the type of its results
+			if (functionName == "iif") {
+				if (args.length < 2 || args.length > 3)
+					throw new Error("iif requires a criterion, a true-result and an optional otherwise-result");
+				return [{ segmentType: "fn", name: functionName, args, type: { ...args[1].at(-1).type } }];
+			}
 
-			} else if (functionName == "getReferenceKey") {
-				return [{
-					segmentType: "nav", value: "reference",
-					type: { isArray: false, fhirType: "string", schemaPath: "Reference.reference" }
-				}, {
-					segmentType: "fn", name: "_splitPath",
-					args: [[{
-						segmentType: "literal", value: -1,
-						type: { isArray: false, fhirType: "number" }
-					}]],
-					type: { isArray: false, fhirType: "string", schemaPath: "Reference.reference" }
-				}];
+			//navigation after repeat continues from the type of its projection
+			if (functionName == "repeat") {
+				if (args.length != 1)
+					throw new Error("repeat requires a projection expression");
+				return [{ segmentType: "fn", name: functionName, args, type: { ...args[0].at(-1).type, isArray: true } }];
 			}
 
+			//terminology functions need the system and code of Coding and CodeableConcept inputs in the schema
+			if (functionName == "memberOf" || functionName == "translate") {
+				const codePaths = { Coding: [["system"], ["code"]], CodeableConcept: [["coding", "system"], ["coding", "code"]] }[type.fhirType] || [];
+				const pathArgs = codePaths.map(p => p.reduce((segments, name) => segments.concat([{
+					segmentType: "nav", value: name,
+					type: resolveType(segments.length ? segments.at(-1).type : type, name, schema)
+				}]), []));
+				//translate returns Codings from the ConceptMap rather than from the input data
+				const fnType = functionName == "translate"
+					? { fhirType: "Coding", isArray: true, schemaPath: "Coding", isComputed: true }
+					: { ...type, outputType };
+				return [{ segmentType: "fn", name: functionName, args: args.concat(pathArgs), type: fnType }];
+			}
+
+			//the builder names the forEach element so it can be read inside of other functions
+			if (argEnv.context && argEnv.context != env.context && argEnv.context.isUsed)
+				return [{ segmentType: "fn", name: functionName, args, contextName: argEnv.context.name, type: { ...type, outputType } }];
+
 			return [{ segmentType: "fn", name: functionName, args, type: { ...type, outputType } }];
 
 		case 'LiteralTerm':
 			const literalValue = node.children[0].terminalNodeText[0];
 			const literalValueType = node.children[0].type.replace("Literal", "");
-			if (['String', 'Number', 'Boolean', 'DateTime'].includes(literalValueType)) {
+			//dates, dateTimes and times are kept as strings to retain their precision
+			if (literalValueType == "DateTime" || literalValueType == "Time") {
+				const dateValue = literalValue.replace(/^@T?/, "").replace(/T$/, "");
+				return [{
+					segmentType: "literal",
+					value: toSqlString(dateValue),
+					type: {
+						fhirType: literalValueType == "Time" ? "time" : dateValue.includes("T") ? "dateTime" : "date",
+						isArray: false
+					}
+				}];
+			}
+			if (literalValueType == "Quantity") {
+				const quantityNode = node.children[0].children[0];
+				const unit = quantityNode.children[0].text;
 				return [{
 					segmentType: "literal",
-					value: literalValueType == "DateTime" ? literalValue.slice(1) : literalValue,
+					value: quantityNode.terminalNodeText[0],
+					unit: unit[0] == "'" ? unit.slice(1, -1) : unit.replace(/s$/, ""),
+					type: { fhirType: "Quantity", isArray: false }
+				}];
+			}
+			if (['String', 'Number', 'Boolean'].includes(literalValueType)) {
+				return [{
+					segmentType: "literal",
+					value: literalValueType == "String" ? stringLiteralToSql(literalValue) : literalValue,
 					type: {
 						fhirType: literalValueType[0].toLowerCase() + literalValueType.slice(1),
 						isArray: false
@@ -196,21 +276,27 @@ function simplifyFhirPath(node, type = null, schema = {}, vars = {}) {
 			}
 
 		case 'ExternalConstantTerm':
-			return simplifyFhirPath(node.children[0], type, schema, vars);
+			return simplifyFhirPath(node.children[0], type, schema, vars, env);
 
 		case 'ExternalConstant':
 			const varName = node.children[0].terminalNodeText[0].replace(/`/g, '');
 			const varValue = vars[varName];
+
+			if (varValue === undefined && ["resource", "rootResource", "context"].includes(varName))
+				return [environmentSegment(varName, env)];
 			
 			if (varValue === undefined) {
-				throw new Error(`Variable %${varName} is not defined. Use --var ${varName}=value to define it.`);
+				throw new Error(`Variable %${varName} is not defined. Add it to the ViewDefinition's constant element or use --var ${varName}=value to define it.`);
 			}
 			
-			const literalType = inferType(varValue);
+			//constants from the ViewDefinition arrive typed, command line variables as strings
+			const constant = typeof(varValue) == "object"
+				? varValue
+				: { value: varValue, fhirType: inferType(varValue) };
 			return [{
 				segmentType: "literal",
-				value: literalType === 'string' ? `'${varValue}'` : varValue,
-				type: { fhirType: literalType, isArray: false }
+				value: constantToSql(constant),
+				type: { fhirType: constant.fhirType, isArray: false }
 			}];
 
 		case 'PolarityExpression':
@@ -228,11 +314,173 @@ function simplifyFhirPath(node, type = null, schema = {}, vars = {}) {
 }
 
 
+//narrow a path to targetType - choice elements (e.g., value[x]) are replaced with the typed
+//element (e.g., valueQuantity) and Resource elements are filtered by their resourceType
+function castPath(path, targetType, isCheck, schema) {
+	const lastSegment = path.at(-1);
+	//$this is a single item of the collection being filtered
+	const inputType = lastSegment.segmentType == "this" ? { ...lastSegment.type, isArray: false } : lastSegment.type;
+	let outputPath;
+
+	if (lastSegment.segmentType == "nav" && !inputType.fhirType) {
+		const value = lastSegment.value + targetType[0].toUpperCase() + targetType.slice(1);
+		const parentPath = inputType.schemaPath.split(".").slice(0, -1).join(".");
+		outputPath = path.slice(0, -1).concat([{
+			...lastSegment, value,
+			type: resolveType({ schemaPath: parentPath }, value, schema)
+		}]);
+
+	} else if (["Resource", "DomainResource"].includes(inputType.fhirType) && schema[targetType] && schema[targetType].t == targetType) {
+		//checking a single resource only needs to compare its resourceType
+		if (isCheck && !inputType.isArray) return [{
+			segmentType: "comparison", operator: "=", args: [path.concat([{
+				segmentType: "nav", value: "resourceType",
+				type: { isArray: false, fhirType: "string", schemaPath: `${targetType}.resourceType` }
+			}]), [{
+				segmentType: "literal", value: `'${targetType}'`,
+				type: { isArray: false, fhirType: "string" }
+			}]],
+			type: { isArray: false, fhirType: "boolean" }
+		}];
+		outputPath = path.concat([{
+			segmentType: "fn",
+			name: "where",
+			args: [[{
+				segmentType: "comparison", operator: "=", args: [[{
+					segmentType: "nav", value: "resourceType",
+					type: { isArray: false, fhirType: "string", schemaPath: `${targetType}.resourceType` }
+				}], [{
+					segmentType: "literal", value: `'${targetType}'`,
+					type: { isArray: false, fhirType: "string" }
+				}]],
+				type: { isArray: false, fhirType: "boolean" }
+			}]],
+			type: { isArray: inputType.isArray, fhirType: targetType, schemaPath: targetType, isContained: inputType.isContained }
+		}]);
+
+	} else if (isTypeOf(inputType.fhirType, targetType, schema)) {
+		outputPath = path;
+
+	} else {
+		throw new Error(`'${inputType.schemaPath}' is of type ${inputType.fhirType} and can never be a ${targetType}`);
+	}
+
+	if (!isCheck) return outputPath;
+	return outputPath.concat([{
+		segmentType: "fn", name: "exists", args: [],
+		type: { ...outputPath.at(-1).type }
+	}]);
+}
+
+//resolve() followed by a resource type also finds the resources the reference points to,
+//which are joined to the input by buildQuery. A join adds a resource to each row, so
+//only a reference from the root of the resource that isn't in another resolved
+//resource can be joined.
+function joinReference(path, targetType, contextType, schema) {
+	const resolveSegment = path.at(-1);
+	if (resolveSegment.segmentType != "fn" || resolveSegment.name != "resolve") return path;
+	const referencePath = path.slice(0, -1);
+	if (!schema[targetType] || schema[targetType].t != targetType)
+		throw new Error(`resolve() returns resources, so ${targetType} must be a resource type`);
+	if (!contextType.isRoot || findFunctions(referencePath, "resolve").length)
+		throw new Error(`resolve().ofType(${targetType}) can only find ${targetType} resources for references from the root of the resource (e.g., subject.resolve().ofType(Patient))`);
+	return referencePath.concat([{
+		...resolveSegment, targetType, referencePath,
+		type: { ...resolveSegment.type, isContained: false }
+	}]);
+}
+
+//FHIR primitive types that are specializations of another primitive type
+const primitiveParents = {
+	code: "string", id: "string", markdown: "string",
+	canonical: "uri", oid: "uri", url: "uri", uuid: "uri",
+	positiveInt: "integer", unsignedInt: "integer"
+}
+
+function isTypeOf(fhirType, targetType, schema) {
+	if (fhirType == targetType || primitiveParents[fhirType] == targetType) return true;
+	//resources are always a Resource and most are also a DomainResource
+	const isResource = schema[fhirType] && schema[fhirType].t == fhirType;
+	return isResource && ["Resource", "DomainResource"].includes(targetType);
+}
+
+//DuckDB can't recurse through nested structs, so repeat is unrolled into a
+//branch for each sequence of its projections up to repeatDepth levels deep.
+//The navigation after repeat is applied within each branch so the branches
+//output the same type and can be concatenated.
+function expandRepeats(node, schema, repeatDepth) {
+	if (Array.isArray(node)) {
+		const segments = node.map(n => expandRepeats(n, schema, repeatDepth));
+		const repeatIndex = segments.findIndex(s => s.segmentType == "fn" && s.name == "repeat");
+		if (repeatIndex == -1) return segments;
+
+		//only navigation and element-wise functions are moved into the branches,
+		//anything that works on the whole collection (e.g., count) follows the repeat
+		const after = expandRepeats(segments.slice(repeatIndex + 1), schema, repeatDepth);
+		const restLength = after.findIndex(s => s.segmentType != "nav" && !["where", "_forEach", "_forEachRows", "_forEachOrNullRows"].includes(s.name));
+		const rest = restLength == -1 ? after : after.slice(0, restLength);
+		const projections = unionMembers(segments[repeatIndex].args[0]);
+		//projections that aren't elements of a level's type don't add anything to it
+		const applyProjections = (path, type) => projections
+			.map(q => retypePath(q, type, schema))
+			.filter(q => !!q)
+			.map(q => path.concat(q));
+		let branches = [];
+		let level = projections.filter(q => q.every(s => s.segmentType != "nav" || s.type.fhirType));
+		for (let depth = 1; depth <= repeatDepth && level.length; depth++) {
+			branches = branches.concat(level.map(p => p.concat(rest)));
+			if (depth < repeatDepth)
+				level = level.flatMap(p => applyProjections(p, p.at(-1).type));
+		}
+		if (!branches.length)
+			throw new Error("repeat projection does not match any elements");
+		return segments.slice(0, repeatIndex).concat([{
+			segmentType: "fn", name: "_repeat", args: branches,
+			type: rest.length ? rest.at(-1).type : segments[repeatIndex].type
+		}], after.slice(rest.length));
+	}
+	if (!node || typeof(node) != "object") return node;
+	return {
+		...node,
+		...(node.children ? { children: expandRepeats(node.children, schema, repeatDepth) } : {}),
+		...(node.args ? { args: node.args.map(a => expandRepeats(a, schema, repeatDepth)) } : {})
+	};
+}
+
+//find the function segments with a name anywhere in an ast
+export function findFunctions(node, name) {
+	if (Array.isArray(node)) return node.flatMap(n => findFunctions(n, name));
+	if (!node || typeof(node) != "object") return [];
+	const matches = node.segmentType == "fn" && node.name == name ? [node] : [];
+	return matches
+		.concat(findFunctions(node.children, name))
+		.concat(findFunctions(node.args, name));
+}
+
+function unionMembers(segments) {
+	if (segments.length == 1 && segments[0].segmentType == "components" && segments[0].operator == "|")
+		return segments[0].args.flatMap(unionMembers);
+	return [segments];
+}
+
+//resolve the navigation in a repeat projection against the output of the previous level
+function retypePath(segments, type, schema) {
+	const retyped = segments.map(s => {
+		if (s.segmentType != "nav") return s;
+		const navType = resolveType(type, s.value, schema);
+		type = navType;
+		return { ...s, type: navType };
+	});
+	return retyped.find(s => s.segmentType == "nav" && !s.type.fhirType) ? null : retyped;
+}
+
 function resolveType(t, s, schema) {
 	let schemaPath = t.schemaPath
 		? [t.schemaPath, s].join(".")
 		: s;
 	const elementSchema = schema[schemaPath];
+	//elements of contained and resolved resources
+	const inResource = !!(t.inResource || (t.fhirType && schema[`${t.fhirType}.resourceType`]));
 	if (!elementSchema) return { schemaPath }
 	if (elementSchema && elementSchema.cr) {
 		schemaPath = elementSchema.cr;
@@ -248,8 +496,155 @@ function resolveType(t, s, schema) {
 	return {
 		isArray: elementSchema.a,
 		fhirType: elementSchema.t,
-		schemaPath
+		schemaPath,
+		...(inResource ? { inResource } : {})
+	}
+}
+
+const forEachFunctions = ["_forEach", "_forEachOrNull", "_forEachRows", "_forEachOrNullRows"];
+
+//%resource is a resource that's the element of a forEach (e.g., contained.ofType(Medication))
+//or the root resource, which is read from the row's columns
+function forEachEnv(type, env, schema) {
+	const depth = env.context ? env.context.depth + 1 : 1;
+	const context = { name: `fq_context_${depth}`, depth, type: { ...type, isArray: false }, isUsed: false };
+	const isResource = !!schema[`${type.fhirType}.resourceType`];
+	//the resource can't be read when the forEach path goes into it (e.g., contained.ofType(Medication).ingredient)
+	const resource = isResource ? context : type.inResource && !env.resource ? { isUnknown: true } : env.resource;
+	return { ...env, context, resource };
+}
+
+function environmentSegment(varName, env) {
+	const resource = varName == "context" ? env.context : varName == "resource" ? env.resource : null;
+	if (resource && resource.isUnknown)
+		throw new Error("%resource can't be determined for the elements of a forEach inside of another resource. Add a forEach for the resource (e.g., contained.ofType(Medication)) and a nested forEach for its elements.");
+	if (!resource) return { segmentType: "root", type: { ...env.rootType } };
+	resource.isUsed = true;
+	return { segmentType: "context", name: resource.name, type: resource.type };
+}
+
+//segments read from the root of the resource by the reference functions
+function idNav() {
+	return {
+		segmentType: "nav", value: "id",
+		type: { isArray: false, fhirType: "string", schemaPath: "id" }
+	};
+}
+
+//the first root arg is passed to the function and the others are only added to the input schema
+function containedArgs() {
+	const containedNav = () => ({
+		segmentType: "nav", value: "contained",
+		type: { isArray: true, fhirType: "Resource", schemaPath: "Resource", isContained: true }
+	});
+	return [[containedNav()], [containedNav(), {
+		segmentType: "nav", value: "id",
+		type: { isArray: false, fhirType: "string", schemaPath: "Resource.id" }
+	}], [containedNav(), {
+		segmentType: "nav", value: "resourceType",
+		type: { isArray: false, fhirType: "string", schemaPath: "Resource.resourceType" }
+	}]];
+}
+
+//choice elements limited to a single type, such as the value of most extensions,
+//navigate to their typed element (e.g., valueCoding)
+function singleChoiceElement(t, s, schema) {
+	const prefix = t.schemaPath ? `${t.schemaPath}.${s}` : s;
+	const typedElements = choiceElements(schema)[prefix] || [];
+	return typedElements.length == 1 && s + typedElements[0].slice(prefix.length);
+}
+
+//the typed elements in a schema by the path of their choice element, which is
+//built once for each schema rather than searching every key for each element
+const choiceIndexes = new WeakMap();
+function choiceElements(schema) {
+	if (!choiceIndexes.has(schema)) {
+		const index = Object.create(null);
+		Object.keys(schema).forEach(k => {
+			const type = schema[k].t;
+			const suffix = type && type[0].toUpperCase() + type.slice(1);
+			if (!suffix || !k.endsWith(suffix) || k.length == suffix.length) return;
+			const choicePath = k.slice(0, -suffix.length);
+			index[choicePath] = (index[choicePath] || []).concat([k]);
+		});
+		choiceIndexes.set(schema, index);
+	}
+	return choiceIndexes.get(schema);
+}
+
+//navigation to elements that aren't in the schema, along with the column
+//they're used in and elements with similar names. Only the first unknown
+//element in a path is returned since the ones after it can't be resolved.
+export function findUnknownElements(node, schema, tableNames=[], column=null) {
+	if (Array.isArray(node)) return node.flatMap(n => findUnknownElements(n, schema, tableNames, column));
+	if (!node || typeof(node) != "object") return [];
+
+	if (node.segmentType == "fn" && ["_col", "_col_collection"].includes(node.name)) {
+		const name = node.args[0][0].value.slice(1, -1);
+		column = tableNames.includes(name) ? column : name;
+	}
+
+	let unknown = [];
+	if (node.segmentType == "nav" && node.type && !node.type.fhirType && node.type.schemaPath) {
+		const parentPath = node.type.schemaPath.split(".").slice(0, -1).join(".");
+		if (schema[parentPath] || schema[`${parentPath}.id`])
+			unknown = [{element: node.value, parentPath, column, suggestions: suggestElements(node.value, parentPath, schema)}];
 	}
+	return unknown
+		.concat(findUnknownElements(node.children, schema, tableNames, column))
+		.concat(findUnknownElements(node.args, schema, tableNames, column));
+}
+
+function suggestElements(element, parentPath, schema) {
+	const children = Object.keys(schema)
+		.filter(k => k.startsWith(parentPath + ".") && k.indexOf(".", parentPath.length + 1) == -1)
+		.map(k => ({name: k.slice(parentPath.length + 1), fhirType: schema[k].t}));
+
+	//choice elements (e.g., value[x]) are only in the schema with their type suffix
+	const choices = {};
+	children.forEach(c => {
+		const suffix = c.fhirType[0].toUpperCase() + c.fhirType.slice(1);
+		if (c.name.endsWith(suffix) && c.name.length > suffix.length) {
+			const base = c.name.slice(0, -suffix.length);
+			choices[base] = (choices[base] || []).concat([c.fhirType]);
+		}
+	});
+	Object.keys(choices).forEach(base => {
+		if (choices[base].length < 2) delete choices[base];
+	});
+	if (choices[element])
+		return choices[element].map(t => `${element}.ofType(${t})`);
+
+	const names = children.map(c => c.name)
+		.filter(n => !Object.keys(choices).find(base => choices[base].find(t => n == base + t[0].toUpperCase() + t.slice(1))))
+		.concat(Object.keys(choices));
+	const maxDistance = Math.max(1, Math.floor(element.length / 3));
+	return names
+		.map(name => ({name, distance: editDistance(element.toLowerCase(), name.toLowerCase())}))
+		.filter(n => n.distance <= maxDistance)
+		.sort((a, b) => a.distance - b.distance || a.name.localeCompare(b.name))
+		.slice(0, 3)
+		.map(n => n.name);
+}
+
+function editDistance(a, b) {
+	let previous = [...Array(b.length + 1).keys()];
+	let beforePrevious;
+	for (let i = 1; i <= a.length; i++) {
+		const current = [i];
+		for (let j = 1; j <= b.length; j++) {
+			current[j] = Math.min(
+				previous[j] + 1, current[j - 1] + 1,
+				previous[j - 1] + (a[i - 1] == b[j - 1] ? 0 : 1)
+			);
+			//swapped letters count as a single edit
+			if (i > 1 && j > 1 && a[i - 1] == b[j - 2] && a[i - 2] == b[j - 1])
+				current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+		}
+		beforePrevious = previous;
+		previous = current;
+	}
+	return previous[b.length];
 }
 
 function inferType(value) {
@@ -257,4 +652,25 @@ function inferType(value) {
 	if (!isNaN(value) && value.trim() !== '') return 'number';
 	if (/^\d{4}-\d{2}-\d{2}T/.test(value)) return 'dateTime';
 	return 'string';
+}
+
+function constantToSql(constant) {
+	const {value, fhirType} = constant;
+	if (["boolean", "number", "decimal", "integer", "integer64", "positiveInt", "unsignedInt"].includes(fhirType))
+		return String(value);
+	return toSqlString(value);
+}
+
+function toSqlString(value) {
+	return `'${String(value).replace(/'/g, "''")}'`;
+}
+
+//convert a quoted FHIRPath string literal (with backslash escapes) to a sql string literal
+function stringLiteralToSql(literal) {
+	const escapes = {n: "\n", r: "\r", t: "\t", f: "\f"};
+	const value = literal.slice(1, -1).replace(/\\(u[0-9a-fA-F]{4}|.)/g, (match, c) => {
+		if (c[0] == "u" && c.length == 5) return String.fromCharCode(parseInt(c.slice(1), 16));
+		return escapes[c] || c;
+	});
+	return toSqlString(value);
 }
\ No newline at end of file
@@ -0,0 +1,127 @@
+//relations that read the resources for a view in each input format. They're
+//added to templates as fq_sql_input and include the other template variables
+//so fq_input_dir and fq_vd_resource can still be changed with --param.
+export const inputFormats = ["ndjson", "ndjson.gz", "bundle", "parquet"];
+
+//fields are the elements in the input schema as struct fields
+//(e.g., ["id VARCHAR", "name STRUCT(family VARCHAR)[]"]). When files are passed
+//in from a Bulk Data manifest, they're read instead of searching fq_input_dir.
+//Resources other than the view's resource (e.g., for joins) are read by passing
+//in their type.
+export function inputSourceSql(inputFormat="ndjson", fields=[], files=null, resourceType=null) {
+	const resource = resourceType || "{{fq_vd_resource}}";
+	if (files) return manifestSourceSql(inputFormat, fields, files, resource);
+
+	if (inputFormat == "ndjson" || inputFormat == "ndjson.gz") {
+		const schemaSql = resourceType ? `, columns=${columnsSql(fields)}` : "{{fq_sql_input_schema}}";
+		return `read_json_auto(
+			'{{fq_input_dir}}/**/*${resource}*.${inputFormat}'
+			${schemaSql}
+		)`;
+	}
+
+	//bundles don't have the resource type in their file names, so every json file
+	//is read and the resources in the entries of the bundles are filtered by type
+	if (inputFormat == "bundle") {
+		const resourceFields = withField(fields, "resourceType VARCHAR");
+		return `(
+			SELECT unnest(resource)
+			FROM (
+				SELECT unnest(entry).resource AS resource
+				FROM read_json_auto(
+					'{{fq_input_dir}}/**/*.json',
+					columns={resourceType: 'VARCHAR', entry: 'STRUCT(resource STRUCT(${resourceFields.join(", ")}))[]'}
+				)
+				WHERE resourceType = 'Bundle'
+			)
+			WHERE resource.resourceType = '${resource}'
+		)`;
+	}
+
+	//struct casts match fields by name, so elements that aren't in the schema
+	//are dropped and ones that aren't in the files are null
+	if (inputFormat == "parquet") {
+		const projection = fields.length ? `unnest(input_row::STRUCT(${fields.join(", ")}))` : "*";
+		return `(
+			SELECT ${projection}
+			FROM read_parquet('{{fq_input_dir}}/**/*${resource}*.parquet', union_by_name=true) AS input_row
+		)`;
+	}
+
+	throw new Error(`Input format must be one of ${inputFormats.join(", ")}`);
+}
+
+//the files for the view's resource type are listed in the relation, and resources
+//in the deleted files (Bundles of DELETE requests) are left out by their id
+function manifestSourceSql(inputFormat, fields, files, resource) {
+	if (!["ndjson", "ndjson.gz", "parquet"].includes(inputFormat))
+		throw new Error(`Files in a manifest can't be read with the ${inputFormat} input format`);
+
+	const idFields = withField(fields, "id VARCHAR");
+	let relation;
+	if (!files.output.length) {
+		//no files were exported for the resource type
+		relation = `(SELECT unnest(NULL::STRUCT(${idFields.join(", ")})) WHERE false)`;
+	} else if (inputFormat == "parquet") {
+		relation = `(
+			SELECT unnest(input_row::STRUCT(${idFields.join(", ")}))
+			FROM read_parquet(${fileListSql(files.output)}, union_by_name=true) AS input_row
+		)`;
+	} else {
+		relation = `read_json_auto(
+			${fileListSql(files.output)},
+			columns=${columnsSql(idFields)}
+		)`;
+	}
+
+	if (!files.deleted.length) return relation;
+	return `(
+		SELECT *
+		FROM ${relation}
+		WHERE id NOT IN (
+			SELECT split_part(entry.request.url, '/', 2)
+			FROM (
+				SELECT unnest(entry) AS entry
+				FROM read_json_auto(
+					${fileListSql(files.deleted)},
+					columns={entry: 'STRUCT(request STRUCT(method VARCHAR, url VARCHAR))[]'}
+				)
+			)
+			WHERE entry.request.method = 'DELETE'
+				AND split_part(entry.request.url, '/', 1) = '${resource}'
+		)
+	)`;
+}
+
+//resolved references are joined to the resources of their type, which are read
+//with the same fields as the contained resources so either can be returned. File
+//names can match other types (e.g., Medication and MedicationRequest), so the
+//resources are filtered by their type.
+export function joinedSourceSql(sourceSql, joins=[]) {
+	if (!joins.length) return sourceSql;
+	const joinSql = joins.map(j => `LEFT JOIN (
+			SELECT DISTINCT ON (fq_key) '${j.resourceType}/' || fq_target.id AS fq_key, fq_target AS fq_resource
+			FROM ${j.sourceSql} AS fq_target
+			WHERE fq_target.resourceType = '${j.resourceType}'
+		) AS ${j.alias} ON ${j.alias}.fq_key = relative_reference(${j.referenceSql})`);
+	return `(
+		SELECT fq_input.*, ${joins.map(j => `${j.alias}.fq_resource AS ${j.alias}`).join(", ")}
+		FROM ${sourceSql} AS fq_input
+		${joinSql.join("\n\t\t")}
+	)`;
+}
+
+//the columns parameter of read_json
+function columnsSql(fields) {
+	const columns = fields.map(f => `${f.slice(0, f.indexOf(" "))}: '${f.slice(f.indexOf(" ") + 1)}'`);
+	return `{${columns.join(", ")}}`;
+}
+
+function withField(fields, field) {
+	const name = field.split(" ")[0];
+	return fields.find(f => f.startsWith(name + " ")) ? fields : [field].concat(fields);
+}
+
+function fileListSql(paths) {
+	return `[${paths.map(p => `'${p.replace(/'/g, "''")}'`).join(", ")}]`;
+}
@@ -1,48 +1,198 @@
-import {fhirpathToAst} from "./fhirpath-parser.js";
+import fhirpath from "fhirpath";
+import {fhirpathToAst, findFunctions, findUnknownElements, defaultRepeatDepth} from "./fhirpath-parser.js";
 import {astToSql, pathsToSchema, tablesToSql} from "./ddb-sql-builder.js"
-import {parseVd, extractPathsFromAst} from "./view-parser.js";
+import {parseVd, parseConstants, extractPathsFromAst, viewPaths} from "./view-parser.js";
+import {resolveTerminology} from "./terminology.js";
+import {createDiagnostic, DiagnosticError, toDiagnostics} from "./diagnostics.js";
+import {inputSourceSql, joinedSourceSql} from "./input-formats.js";
+import {manifestFiles} from "./bulk-manifest.js";
 import macros from "../templates/duck-macros.js";
 
-export function buildQuery(vd, schema, filterByResourceType, verbose, vars) {
+//errors are collected for each step and thrown together so all of the problems
+//in a view can be reported at once. Warnings are added to the diagnostics array.
+export function buildQuery(vd, schema, filterByResourceType, verbose, vars, options={}) {
+	const {terminology, repeatDepth, columnTypes, strictTypes, allowUnknownPaths, diagnostics=[]} = options;
 	const parsedVd = parseVd(vd);
 	if (verbose) console.log(parsedVd.path)
+	const paths = viewPaths(vd);
+	throwErrors(paths.map(checkSyntax).filter(d => !!d));
 
-	const fpAst = fhirpathToAst(parsedVd.path, vd.resource, schema, vars);
-	const fpSql = astToSql(fpAst).sql;
+	let errors = [];
+	let constants;
+	try {
+		constants = parseConstants(vd, vars);
+	} catch (e) {
+		throw new DiagnosticError(toDiagnostics(e, "/constant", "invalid-constant"));
+	}
+
+	const compilePath = (path, pointer) => {
+		try {
+			return fhirpathToAst(path, vd.resource, schema, constants, repeatDepth);
+		} catch (e) {
+			errors = errors.concat(toDiagnostics(e, pointer || columnPointer(e.columnName, paths, parsedVd.tables), "invalid-path"));
+		}
+	}
+	const fpAst = compilePath(parsedVd.path);
+	const whereAsts = (vd.where||[]).map((w, i) => compilePath(w.path, `/where/${i}/path`))
+		.concat(filterByResourceType ? [compilePath(`resourceType = '${vd.resource}'`)] : []);
+	throwErrors(errors);
+
+	const tableNames = parsedVd.tables.map(t => t.name);
+	const unknownElements = findUnknownElements(fpAst, schema, tableNames)
+		.concat(whereAsts.flatMap((w, i) => findUnknownElements(w, schema).map(u => ({...u, where: i}))))
+		.map(u => unknownElementDiagnostic(u, paths, allowUnknownPaths ? "warning" : "error"));
+	if (allowUnknownPaths) diagnostics.push(...unknownElements);
+	throwErrors(allowUnknownPaths ? [] : unknownElements);
 
-	const whereAsts = (vd.where||[]).map(w => w.path)
-		.concat([filterByResourceType ? `resourceType = '${vd.resource}'` : null])
-		.filter(w => !!w)
-		.map(w => fhirpathToAst(w, vd.resource, schema, vars));
+	try {
+		resolveTerminology([fpAst].concat(whereAsts), terminology);
+	} catch (e) {
+		throw new DiagnosticError(toDiagnostics(e, "", "terminology"));
+	}
 
-	const whereSql = whereAsts.map(w => {
-		const whereSql = astToSql(w);
-		if (whereSql.outputType.fhirType.indexOf("boolean") != 0)
-			throw new Error("where path must output a boolean value");
-		return `(${whereSql.sql})`;
+	let joins = [];
+	[fpAst].concat(whereAsts).forEach((ast, i) => {
+		try {
+			joins = resourceJoins(ast, joins);
+		} catch (e) {
+			errors = errors.concat(toDiagnostics(e, i > 0 && i <= (vd.where||[]).length ? `/where/${i-1}/path` : "", "invalid-path"));
+		}
+	});
+	throwErrors(errors);
+
+	const columnErrors = [];
+	findFunctions(fpAst, "_col").concat(findFunctions(fpAst, "_col_collection"))
+		.forEach(node => node.columnOptions = {columnTypes, strictTypes, errors: columnErrors});
+	const fpSql = astToSql(fpAst).sql;
+	errors = columnErrors.flatMap(e => toDiagnostics(e, columnPointer(e.columnName, paths, parsedVd.tables), "invalid-column"));
+
+	const whereSql = whereAsts.map((w, i) => {
+		try {
+			const whereSql = astToSql(w);
+			if (whereSql.outputType.fhirType.indexOf("boolean") != 0)
+				throw new Error("where path must output a boolean value");
+			return `(${whereSql.sql})`;
+		} catch (e) {
+			errors = errors.concat(toDiagnostics(e, i < (vd.where||[]).length ? `/where/${i}/path` : "", "invalid-where"));
+		}
 	}).join(" and ");
+	throwErrors(errors);
 
 	const schemaPaths = extractPathsFromAst({asts: [fpAst].concat(whereAsts)});
 	const schemaSql = pathsToSchema(schemaPaths)
+	const schemaFields = schemaPaths.map(p => pathsToSchema(p, false));
+	//joined resources are read with the fields of the contained resources
+	const containedPath = schemaPaths.find(p => p.value == "contained");
+	const joinFields = containedPath ? containedPath.children.map(c => pathsToSchema(c, false)) : [];
 	const outputSql = tablesToSql(parsedVd.tables);
-	return {pathSql: fpSql, schemaSql, outputSql, whereSql}
+	return {pathSql: fpSql, schemaSql, schemaFields, outputSql, whereSql, joins: joins.map(j => ({...j, fields: joinFields}))}
+}
+
+//resolve() followed by a resource type is joined to the resources of that type,
+//with one join for each reference and type
+function resourceJoins(ast, joins) {
+	findFunctions(ast, "resolve").filter(node => node.targetType).forEach(node => {
+		const reference = astToSql({segmentType: "expr", children: node.referencePath});
+		if (reference.outputType.isArray)
+			throw new Error(`resolve().ofType(${node.targetType}) can only find ${node.targetType} resources for a single reference (use first() to select one)`);
+		let join = joins.find(j => j.resourceType == node.targetType && j.referenceSql == reference.sql);
+		if (!join) {
+			join = {alias: `fq_ref_${joins.length + 1}`, resourceType: node.targetType, referenceSql: reference.sql};
+			joins = joins.concat([join]);
+		}
+		node.joinAlias = join.alias;
+	});
+	return joins;
+}
+
+function throwErrors(diagnostics) {
+	if (diagnostics.length) throw new DiagnosticError(diagnostics);
+}
+
+//parse each path in the view on its own so syntax errors can be located in it
+function checkSyntax({path, pointer}) {
+	try {
+		fhirpath.parse(path);
+	} catch (e) {
+		const message = (e.message || String(e)).replace(/^line: \d+; column: \d+; message: /, "");
+		const position = (e.message || "").match(/column: (\d+)/);
+		const token = message.match(/input '(.+?)'/);
+		const span = position
+			? {start: parseInt(position[1]), end: parseInt(position[1]) + (token ? token[1].length : 1)}
+			: null;
+		return createDiagnostic("fhirpath-syntax", `Invalid FHIRPath expression '${path}': ${message}`, pointer, span);
+	}
+}
+
+//columns are found by name and forEach, repeat and unionAll paths by the table they create
+function columnPointer(name, paths, tables) {
+	const table = tables.find(t => t.name == name);
+	if (table) return table.pointer;
+	const column = paths.find(p => p.column == name);
+	return column ? column.pointer : "";
+}
+
+function unknownElementDiagnostic(unknown, paths, severity) {
+	const isMatch = p => new RegExp(`\\b${unknown.element}\\b`).test(p.path);
+	const path = unknown.where !== undefined
+		? paths.find(p => p.pointer == `/where/${unknown.where}/path`)
+		: unknown.column
+			? paths.find(p => p.column == unknown.column && isMatch(p)) || paths.find(p => p.column == unknown.column)
+			: paths.find(p => !p.column && isMatch(p));
+	const start = path ? path.path.search(new RegExp(`\\b${unknown.element}\\b`)) : -1;
+	const span = start > -1 ? {start, end: start + unknown.element.length} : null;
+	return createDiagnostic("unknown-element", unknownElementMessage(unknown), path ? path.pointer : "", span, severity);
+}
+
+function unknownElementMessage(unknown) {
+	const location = unknown.column ? `column '${unknown.column}'`
+		: unknown.where !== undefined ? `where[${unknown.where}]`
+		: "a forEach, repeat or unionAll path";
+	const suggestion = unknown.suggestions.length
+		? ` Did you mean ${unknown.suggestions.map(s => `'${s}'`).join(", ")}?`
+		: "";
+	return `Unknown element '${unknown.element}' of ${unknown.parentPath} in ${location}.${suggestion}`;
 }
 
+//options are the compiler settings: terminology (loaded ValueSets and ConceptMaps),
+//repeatDepth, columnTypes (fhir or native), strictTypes, allowUnknownPaths,
+//diagnostics (an array that warnings are added to), inputFormat and manifest
 //TODO: consider replacing this with a full template language
-export function templateToQuery(vd, schema, template, args=[], verbose, filterByResourceType, customMacros=null, vars=null) {
+export function templateToQuery(vd, schema, template, args=[], verbose, filterByResourceType, customMacros=null, vars=null, options={}) {
+	const {
+		terminology=null, repeatDepth=defaultRepeatDepth, columnTypes="fhir", strictTypes=false,
+		allowUnknownPaths=false, diagnostics=[], inputFormat="ndjson", manifest=null
+	} = options;
 	//Setting filterByResourceType to btrue can only be used if the schema for the
 	//elements being use is compatible between all of the resources being read
 	//(e.g., element with the same names have the same structure). This is used
 	//in some of the tests that mix resource types.
 	
-	const queryParts = buildQuery(vd, schema, filterByResourceType, verbose, vars);
+	const queryParts = buildQuery(vd, schema, filterByResourceType, verbose, vars, {
+		terminology, repeatDepth, columnTypes, strictTypes, allowUnknownPaths, diagnostics
+	});
+	//resolved resources are joined to the input relation, so templates that read the files themselves can't include them
+	if (queryParts.joins.length && !/\{\{\s*fq_sql_input\s*\}\}/.test(template)) {
+		const resolvePath = viewPaths(vd).find(p => /\bresolve\(\s*\)\s*\.\s*ofType\(/.test(p.path));
+		throw new DiagnosticError([createDiagnostic(
+			"unsupported-template",
+			`resolve().ofType(${queryParts.joins[0].resourceType}) requires a template that reads the input with {{fq_sql_input}}`,
+			resolvePath ? resolvePath.pointer : ""
+		)]);
+	}
 	const whereSql = queryParts.whereSql ? "WHERE " + queryParts.whereSql : "";
 	const schemaSql = queryParts.schemaSql ? `, columns=${queryParts.schemaSql}` : "";
 
 	// Concatenate base macros with custom macros
 	const allMacros = customMacros ? macros + '\n' + customMacros : macros;
 
-	const templateVars = args.concat([
+	//the input relation uses the other variables, so it's replaced first
+	const files = resourceType => manifest ? manifestFiles(manifest, resourceType) : null;
+	const joins = queryParts.joins.map(j => ({
+		...j, sourceSql: inputSourceSql(inputFormat, j.fields, files(j.resourceType), j.resourceType)
+	}));
+	const inputSql = joinedSourceSql(inputSourceSql(inputFormat, queryParts.schemaFields, files(vd.resource)), joins);
+	const templateVars = [["fq_sql_input", inputSql]].concat(args, [
 		["fq_input_dir", process.cwd()],
 		["fq_output_dir", process.cwd()],
 		["fq_where_filter", whereSql],
@@ -57,7 +207,8 @@ export function templateToQuery(vd, schema, template, args=[], verbose, filterBy
 
 	templateVars.forEach( v => {
 		const finder = new RegExp(`\{\{\s*${v[0]}\s*\}\}`, "g");
-		template = template.replace(finder, v[1]);
+		//a function keeps $ patterns in the values (e.g., regular expressions in macros) from being expanded
+		template = template.replace(finder, () => v[1]);
 	})
 
 	return template;
@@ -0,0 +1,160 @@
+import fs from "fs";
+import path from "path";
+import {findFunctions} from "./fhirpath-parser.js";
+
+//read ValueSet, CodeSystem and ConceptMap resources (or bundles of them)
+//from the json files in one or more directories
+export function loadTerminology(dirPaths) {
+	const terminology = {ValueSet: {}, CodeSystem: {}, ConceptMap: {}};
+	const files = [].concat(dirPaths).flatMap(dirPath => {
+		let dirFiles;
+		try {
+			dirFiles = fs.readdirSync(dirPath, {recursive: true});
+		} catch (e) {
+			throw new Error(`Unable to read terminology directory ${dirPath}: ${e.message}`);
+		}
+		return dirFiles
+			.filter(f => f.endsWith(".json"))
+			.map(f => path.join(dirPath, f));
+	});
+
+	for (const file of files) {
+		let resource;
+		try {
+			resource = JSON.parse(fs.readFileSync(file, "utf-8"));
+		} catch (e) {
+			throw new Error(`Unable to parse terminology file ${file}: ${e.message}`);
+		}
+		const resources = resource.resourceType == "Bundle"
+			? (resource.entry || []).map(e => e.resource).filter(r => !!r)
+			: [resource];
+		resources.forEach(r => addResource(terminology, r));
+	}
+	return terminology;
+}
+
+function addResource(terminology, resource) {
+	const index = terminology[resource.resourceType];
+	if (!index || !resource.url) return;
+	index[resource.url] = resource;
+	if (resource.version) index[`${resource.url}|${resource.version}`] = resource;
+}
+
+//returns the codes in a value set as 'system|code' keys
+export function expandValueSet(url, terminology, unresolved=[], seen=[]) {
+	const valueSet = terminology.ValueSet[url];
+	if (!valueSet) {
+		unresolved.push(url);
+		return [];
+	}
+	if (seen.includes(url))
+		throw new Error(`ValueSet ${url} includes itself`);
+	seen = seen.concat([url]);
+
+	if (valueSet.expansion && valueSet.expansion.contains)
+		return [...new Set(flattenContains(valueSet.expansion.contains))];
+
+	if (!valueSet.compose || !valueSet.compose.include)
+		throw new Error(`ValueSet ${url} must have an expansion or a compose element`);
+
+	const toKeys = includes => (includes || []).flatMap(include => {
+		return expandInclude(url, include, terminology, unresolved, seen);
+	});
+	const excluded = toKeys(valueSet.compose.exclude);
+	return [...new Set(toKeys(valueSet.compose.include))]
+		.filter(k => !excluded.includes(k));
+}
+
+function expandInclude(url, include, terminology, unresolved, seen) {
+	if (include.filter && include.filter.length)
+		throw new Error(`ValueSet ${url} uses a compose filter, which is not supported. Use an expanded ValueSet instead.`);
+
+	let keys;
+	if (include.concept) {
+		keys = include.concept.map(c => `${include.system}|${c.code}`);
+	} else if (include.system) {
+		const codeSystemUrl = include.version ? `${include.system}|${include.version}` : include.system;
+		const codeSystem = terminology.CodeSystem[codeSystemUrl];
+		if (!codeSystem) {
+			unresolved.push(codeSystemUrl);
+			return [];
+		}
+		keys = flattenConcepts(codeSystem.concept || []).map(code => `${include.system}|${code}`);
+	}
+
+	//codes must be in every value set that is referenced
+	(include.valueSet || []).forEach(vsUrl => {
+		const vsKeys = expandValueSet(vsUrl, terminology, unresolved, seen);
+		keys = keys ? keys.filter(k => vsKeys.includes(k)) : vsKeys;
+	});
+	return keys || [];
+}
+
+function flattenContains(contains) {
+	return contains.flatMap(c => {
+		const keys = c.code && !c.abstract ? [`${c.system}|${c.code}`] : [];
+		return keys.concat(flattenContains(c.contains || []));
+	});
+}
+
+function flattenConcepts(concepts) {
+	return concepts.flatMap(c => [c.code].concat(flattenConcepts(c.concept || [])));
+}
+
+//returns the source and target codes in a concept map, skipping targets
+//that are unmatched or not related to the source
+export function conceptMapToMappings(url, terminology, unresolved=[]) {
+	const conceptMap = terminology.ConceptMap[url];
+	if (!conceptMap) {
+		unresolved.push(url);
+		return [];
+	}
+	const excluded = ["unmatched", "disjoint", "not-related-to"];
+	return (conceptMap.group || []).flatMap(group => {
+		return (group.element || []).flatMap(element => {
+			return (element.target || [])
+				.filter(t => t.code && !excluded.includes(t.equivalence || t.relationship))
+				.map(t => ({
+					source: `${group.source}|${element.code}`,
+					sourceCode: element.code,
+					system: group.target,
+					code: t.code,
+					display: t.display
+				}));
+		});
+	});
+}
+
+//add the expanded codes to each memberOf function and the mappings to each
+//translate function in the asts
+export function resolveTerminology(asts, terminology) {
+	const unresolved = {ValueSet: [], ConceptMap: []};
+	const fnUrl = node => {
+		const urlNode = node.args[0] && node.args[0].length == 1 && node.args[0][0];
+		if (!urlNode || urlNode.segmentType != "literal" || urlNode.type.fhirType == "number")
+			throw new Error(`${node.name} requires a canonical url string`);
+		return urlNode.value.slice(1, -1).replace(/''/g, "'");
+	}
+
+	asts.flatMap(ast => findFunctions(ast, "memberOf")).forEach(node => {
+		const url = fnUrl(node);
+		node.codes = terminology ? expandValueSet(url, terminology, unresolved.ValueSet) : [];
+		if (!terminology) unresolved.ValueSet.push(url);
+	});
+
+	asts.flatMap(ast => findFunctions(ast, "translate")).forEach(node => {
+		const url = fnUrl(node);
+		node.mappings = terminology ? conceptMapToMappings(url, terminology, unresolved.ConceptMap) : [];
+		if (!terminology) unresolved.ConceptMap.push(url);
+		if (terminology && terminology.ConceptMap[url] && !node.mappings.length)
+			throw new Error(`ConceptMap ${url} does not contain any mappings`);
+	});
+
+	const messages = [];
+	if (unresolved.ValueSet.length)
+		messages.push(`Unable to resolve ${[...new Set(unresolved.ValueSet)].join(", ")}. Add the ValueSet and CodeSystem files to the directory passed in with --valueset-path.`);
+	if (unresolved.ConceptMap.length)
+		messages.push(`Unable to resolve ${[...new Set(unresolved.ConceptMap)].join(", ")}. Add the ConceptMap files to the directory passed in with --conceptmap-path.`);
+	if (messages.length)
+		throw new Error(messages.join(" "));
+}
@@ -1,69 +1,175 @@
-//a few quick validation checks
+import {createDiagnostic, DiagnosticError} from "./diagnostics.js";
+
+//a few quick validation checks - all of the problems found are thrown together
 export function validateVd(vd) {
-	
-	function findSelect(node) {
-		if (node.select) 
-				return true;
-		if (node.unionAll || Array.isArray(node))
-			return (node.unionAll||node).find(findSelect)
-	}
+	const diagnostics = [];
+	const error = (code, message, pointer) => diagnostics.push(createDiagnostic(code, message, pointer));
+	const namePattern = /^[A-Za-z][A-Za-z0-9_]*$/;
 
-	function validateElement(node) {
+	function validateElement(node, pointer) {
 		let output = [];
 		if (node.forEach || node.forEachOrNull) {
 			if (node.forEach && typeof(node.forEach) != "string")
-				throw new Error("forEach elements must be a string");
+				error("invalid-foreach", "forEach elements must be a string", `${pointer}/forEach`);
 			if (node.forEachOrNull && typeof(node.forEachOrNull) != "string")
-				throw new Error("forEachOrNull elements must be a string");
+				error("invalid-foreach", "forEachOrNull elements must be a string", `${pointer}/forEachOrNull`);
 			if (node.forEach && node.forEachOrNull)
-				throw new Error("a select element may not contain both a forEach and a forEachOrNull element");
+				error("invalid-foreach", "a select element may not contain both a forEach and a forEachOrNull element", pointer);
 			if (!node.select && !node.column && !node.unionAll)
-				throw new Error("forEach and forEachOrNull elements must be used together with a column, select or unionAll element");
+				error("invalid-foreach", "forEach and forEachOrNull elements must be used together with a column, select or unionAll element", pointer);
+		}
+
+		if (node.repeat) {
+			if (!Array.isArray(node.repeat) || !node.repeat.length || node.repeat.find(r => !r || typeof(r) != "string"))
+				error("invalid-repeat", "repeat elements must be an array of path strings", `${pointer}/repeat`);
+			if (node.forEach || node.forEachOrNull)
+				error("invalid-repeat", "a select element may not contain both a repeat and a forEach or forEachOrNull element", pointer);
+			if (!node.select && !node.column && !node.unionAll)
+				error("invalid-repeat", "repeat elements must be used together with a column, select or unionAll element", pointer);
 		}
 		
 		//collection must be boolean
-		if (node.select) {
-			if (!Array.isArray(node.select))
-				throw new Error("select elements must be an array");
-			output.push( node.select.map(validateElement) );
+		if (node.column) {
+			if (!Array.isArray(node.column)) {
+				error("invalid-column", "column elements must be an array", `${pointer}/column`);
+			} else {
+				node.column.forEach((c, i) => {
+					const columnPointer = `${pointer}/column/${i}`;
+					if (!c.name || typeof(c.name) != "string" || !namePattern.test(c.name))
+						error("invalid-column", "each column must contain a name element that matches the expression ^[A-Za-z][A-Za-z0-9_]*$", columnPointer);
+					if (c.collection && typeof(c.collection) != "boolean")
+						error("invalid-column", "collection elements must be true or false", `${columnPointer}/collection`);
+					if (c.type !== undefined && (typeof(c.type) != "string" || !/^[A-Za-z][A-Za-z0-9]*$/.test(c.type)))
+						error("invalid-column", "column type elements must be the name of a FHIR type", `${columnPointer}/type`);
+				});
+				output.push( node.column.map(c => c.name) );
+			}
 		}
 
-		if (node.column) {
-			if (!Array.isArray(node.column))
-				throw new Error("column elements must be an array");
-			if (node.column.find(c => !c.name || typeof(c.name) != "string" || !/^[A-Za-z][A-Za-z0-9_]*$/.test(c.name)))
-				throw new Error("each column must contain a name element that matches the expression ^[A-Za-z][A-Za-z0-9_]*$");
-			if (node.column.find(c => c.collection && typeof(c.collection) != "boolean"))
-				throw new Error("collection elements must be true or false");
-			output.push( node.column.map(c => c.name) );
+		if (node.select) {
+			if (!Array.isArray(node.select))
+				error("invalid-select", "select elements must be an array", `${pointer}/select`);
+			else
+				output.push( node.select.map((n, i) => validateElement(n, `${pointer}/select/${i}`)) );
 		}
 
 		if (node.unionAll) {
-			if (!Array.isArray(node.unionAll))
-				throw new Error("unionAll elements must be an array");
-			if (findSelect(node.unionAll))
-				throw new Error("Not implemented - nested select in unionAll");
-			const unionItems = node.unionAll.map(u => validateElement(u).flat(Infinity))
-			const first = JSON.stringify(unionItems[0]);
-			const error = unionItems.slice(1).find(uc => JSON.stringify(uc) != first);
-			if (error) throw new Error("columns in unionAll elements must have matching names");
-			output.push(unionItems[0])
+			if (!Array.isArray(node.unionAll)) {
+				error("invalid-union", "unionAll elements must be an array", `${pointer}/unionAll`);
+			} else {
+				const unionItems = node.unionAll.map((u, i) => validateElement(u, `${pointer}/unionAll/${i}`).flat(Infinity))
+				const first = JSON.stringify(unionItems[0]);
+				const mismatch = unionItems.findIndex(uc => JSON.stringify(uc) != first);
+				if (mismatch > -1)
+					error("union-column-mismatch", "columns in unionAll elements must have matching names", `${pointer}/unionAll/${mismatch}`);
+				output.push(unionItems[0])
+			}
 		}
 		return output;
 	}
 
 	//root elements
 	if (!vd.resource) 
-		throw new Error("ViewDefinitions must include a resource");
+		error("missing-resource", "ViewDefinitions must include a resource", "");
 	
-	if (vd.name && !/^[A-Za-z][A-Za-z0-9_]*$/.test(vd.name))
-		throw new Error("ViewDefinition name element must match the expression ^[A-Za-z][A-Za-z0-9_]*$");
+	if (vd.name && !namePattern.test(vd.name))
+		error("invalid-name", "ViewDefinition name element must match the expression ^[A-Za-z][A-Za-z0-9_]*$", "/name");
+
+	if (vd.fhirVersion && (!Array.isArray(vd.fhirVersion) || vd.fhirVersion.find(v => typeof(v) != "string")))
+		error("invalid-fhir-version", "fhirVersion elements must be an array of FHIR version strings", "/fhirVersion");
 
-	if (vd.where && vd.where.find(w => !w.path || typeof(w.path) != "string"))
-		throw new Error("where elements must include a path string");
+	(vd.where || []).forEach((w, i) => {
+		if (!w.path || typeof(w.path) != "string")
+			error("invalid-where", "where elements must include a path string", `/where/${i}`);
+	});
+
+	if (vd.constant) {
+		if (!Array.isArray(vd.constant)) {
+			error("invalid-constant", "constant elements must be an array", "/constant");
+		} else {
+			vd.constant.forEach((c, i) => {
+				if (!c.name || typeof(c.name) != "string" || !namePattern.test(c.name))
+					return error("invalid-constant", "each constant must contain a name element that matches the expression ^[A-Za-z][A-Za-z0-9_]*$", `/constant/${i}`);
+				const valueKeys = Object.keys(c).filter(k => /^value[A-Z]/.test(k));
+				if (valueKeys.length != 1 || !constantTypes.includes(lowerFirst(valueKeys[0].slice(5))))
+					return error("invalid-constant", `constant %${c.name} must contain exactly one supported value[x] element`, `/constant/${i}`);
+				try {
+					checkConstantValue(c.name, lowerFirst(valueKeys[0].slice(5)), c[valueKeys[0]]);
+				} catch (e) {
+					error("invalid-constant", e.message, `/constant/${i}/${valueKeys[0]}`);
+				}
+			});
+			const names = vd.constant.map(c => c.name);
+			const duplicate = names.findIndex((n, i) => names.indexOf(n) != i);
+			if (duplicate > -1)
+				error("duplicate-constant", "constant names must be unique within a ViewDefinition", `/constant/${duplicate}`);
+		}
+	}
 
 	//nested elements
-	validateElement(vd);
+	validateElement(vd, "");
+
+	if (diagnostics.length)
+		throw new DiagnosticError(diagnostics);
+}
+
+//FHIR primitive types that may be used in a constant's value[x] element
+const constantTypes = [
+	"base64Binary", "boolean", "canonical", "code", "date", "dateTime", "decimal", "id",
+	"instant", "integer", "integer64", "oid", "positiveInt", "string", "time",
+	"unsignedInt", "uri", "url", "uuid"
+];
+
+const constantPatterns = {
+	boolean: v => typeof(v) == "boolean",
+	decimal: v => typeof(v) == "number",
+	integer: v => Number.isInteger(v),
+	integer64: v => Number.isInteger(v),
+	positiveInt: v => Number.isInteger(v) && v > 0,
+	unsignedInt: v => Number.isInteger(v) && v >= 0,
+	date: v => /^\d{4}(-\d{2}(-\d{2})?)?$/.test(v),
+	dateTime: v => /^\d{4}(-\d{2}(-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})?)?)?)?$/.test(v),
+	instant: v => /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/.test(v),
+	time: v => /^\d{2}:\d{2}:\d{2}(\.\d+)?$/.test(v)
+}
+
+function lowerFirst(s) {
+	return s[0].toLowerCase() + s.slice(1);
+}
+
+function checkConstantValue(name, fhirType, value) {
+	const isValid = constantPatterns[fhirType]
+		? constantPatterns[fhirType](value)
+		: typeof(value) == "string";
+	if (!isValid)
+		throw new Error(`constant %${name} must have a value of type ${fhirType} (found ${JSON.stringify(value)})`);
+}
+
+//values passed in from the command line are strings, so convert them to
+//the type declared in the ViewDefinition before checking them
+function coerceVar(fhirType, value) {
+	if (typeof(value) != "string") return value;
+	if (fhirType == "boolean" && (value == "true" || value == "false"))
+		return value == "true";
+	if (["decimal", "integer", "integer64", "positiveInt", "unsignedInt"].includes(fhirType) && value.trim() !== "" && !isNaN(value))
+		return Number(value);
+	return value;
+}
+
+//combine ViewDefinition constants with variables passed in by the user. User
+//variables override constants with the same name, but keep the constant's type.
+export function parseConstants(vd, vars) {
+	let constants = {...(vars || {})};
+	(vd.constant || []).forEach(c => {
+		const valueKey = Object.keys(c).find(k => /^value[A-Z]/.test(k));
+		const fhirType = lowerFirst(valueKey.slice(5));
+		const value = vars && vars[c.name] !== undefined
+			? coerceVar(fhirType, vars[c.name])
+			: c[valueKey];
+		checkConstantValue(c.name, fhirType, value);
+		constants[c.name] = {value, fhirType};
+	});
+	return constants;
 }
 
 export function parseVd(vd, skipValidation) {
@@ -80,18 +186,29 @@ export function parseVd(vd, skipValidation) {
 		tables.find(t => t.name == name).allowNull = allowNull;
 	}
 
-	function addTable(type, parent, allowNull) {
+	function addTable(type, parent, allowNull, pointer) {
 		tableIndex++;
 		const name = [type[0], tableIndex].join("_");
-		tables.push({type, parent, name, allowNull});
+		tables.push({type, parent, name, allowNull, pointer});
 		return name;
 	}
 
-	function parseNode(node, isRoot, inUnion, parentTable) {
+	//the declared type is passed along so the column can be converted to it
+	function columnPath(c) {
+		const typeArg = c.type ? `, '${c.type}'` : "";
+		return `_col${c.collection ? "_collection" : ""}('${c.name}', ${c.path||c.name}${typeArg})`;
+	}
+
+	//the pointer to each element is kept with its tables to report errors in their paths
+	function parseNode(node, isRoot, inUnion, parentTable, pointer="") {
+		//repeat is a forEach over the elements found by recursively following its paths
+		if (node.repeat)
+			return parseNode({...node, repeat: undefined, forEach: `repeat(${node.repeat.join(" | ")})`}, isRoot, inUnion, parentTable, pointer);
+
 		if (node.forEach || node.forEachOrNull) {
-			const eachTable = !inUnion ? addTable(node.forEach ? "each" : "nullEach", parentTable, !!node.forEachOrNull) : parentTable;
+			const eachTable = !inUnion ? addTable(node.forEach ? "each" : "nullEach", parentTable, !!node.forEachOrNull, pointer) : parentTable;
 			if (inUnion && node.forEachOrNull) updateTable(eachTable, true);
-			const rest = parseNode({...node, forEach: undefined, forEachOrNull: undefined}, false, false, eachTable);
+			const rest = parseNode({...node, forEach: undefined, forEachOrNull: undefined}, false, false, eachTable, pointer);
 			const path = `${node.forEach || node.forEachOrNull}.${node.forEachOrNull ? "_forEachOrNull" : "_forEach"}(${rest})`;
 			return !inUnion ? `_col_collection('${eachTable}', ${path})` : path;
 		}
@@ -99,20 +216,20 @@ export function parseVd(vd, skipValidation) {
 		let output = [];
 		if (node.column) {
 			node.column.forEach( c => addField(c.name, parentTable) );
-			const columns = node.column.map( c => `_col${c.collection ? "_collection" : ""}('${c.name}', ${c.path||c.name})` );
+			const columns = node.column.map(columnPath);
 			output.push(inUnion ? `_forEach(${columns})` : columns);
 		}
 
 		if (node.select) {
-			const path = node.select.map( n => parseNode(n, false, false, parentTable) );
+			const path = node.select.map( (n, i) => parseNode(n, false, false, parentTable, `${pointer}/select/${i}`) );
 			// output.push(isRoot ? `_forEach(${path.join(", ")})` : path);
 			output.push(isRoot || inUnion ? `_forEach(${path.join(", ")})` : path);
 		}
 		
 		if (node.unionAll) {
 			const parentTableDefinition = tables.find(t => t.name == parentTable)
-			const unionTable = !inUnion ? addTable("union", parentTable, parentTableDefinition && parentTableDefinition.allowNull) : parentTable;
-			const path = node.unionAll.map(n => parseNode(n, false, true, unionTable));
+			const unionTable = !inUnion ? addTable("union", parentTable, parentTableDefinition && parentTableDefinition.allowNull, `${pointer}/unionAll`) : parentTable;
+			const path = node.unionAll.map((n, i) => hasNestedRows(n) ? parseRows(n, unionTable) : parseNode(n, false, true, unionTable, `${pointer}/unionAll/${i}`));
 			const unionPath = inUnion
 				? `_unionAll(${path.join(", ")})`
 				: `_col_collection('${unionTable}', _unionAll(${path.join(", ")}))`;
@@ -122,11 +239,59 @@ export function parseVd(vd, skipValidation) {
 		return output.join(", ");
 	}
 
+	//nested selects that only add columns are flattened along with the rest of the branch
+	function hasNestedRows(node) {
+		return (node.select || []).find(n => n.forEach || n.forEachOrNull || n.repeat || n.unionAll || hasNestedRows(n));
+	}
+
+	//the rows in a unionAll branch with nested selects that add rows can't be
+	//flattened with joins since the other branches don't share its structure,
+	//so the branch is flattened into a list of rows with the union's columns instead
+	function parseRows(node, unionTable) {
+		if (node.repeat)
+			return parseRows({...node, repeat: undefined, forEach: `repeat(${node.repeat.join(" | ")})`}, unionTable);
+
+		if (node.forEach || node.forEachOrNull) {
+			if (node.forEachOrNull) updateTable(unionTable, true);
+			const rest = parseRows({...node, forEach: undefined, forEachOrNull: undefined}, unionTable);
+			return `${node.forEach || node.forEachOrNull}.${node.forEachOrNull ? "_forEachOrNullRows" : "_forEachRows"}(${rest})`;
+		}
+
+		let parts = [];
+		if (node.column) {
+			node.column.forEach( c => addField(c.name, unionTable) );
+			parts = parts.concat(node.column.map(columnPath));
+		}
+		if (node.select)
+			parts = parts.concat(node.select.map(n => parseRows(n, unionTable)));
+		if (node.unionAll)
+			parts.push(`_unionAll(${node.unionAll.map(n => parseRows(n, unionTable)).join(", ")})`);
+		return `_rows(${parts.join(", ")})`;
+	}
+
 	if (!skipValidation) validateVd(vd);
 	const path = parseNode(vd, true);
 	return {path, tables}
 }
 
+//the FHIRPath expressions in a ViewDefinition with a JSON pointer to each one
+export function viewPaths(vd) {
+	let paths = (vd.where || []).map((w, i) => ({path: w.path, pointer: `/where/${i}/path`}));
+
+	function addPaths(node, pointer) {
+		["forEach", "forEachOrNull"].filter(k => node[k])
+			.forEach(k => paths.push({path: node[k], pointer: `${pointer}/${k}`}));
+		(node.repeat || []).forEach((r, i) => paths.push({path: r, pointer: `${pointer}/repeat/${i}`}));
+		(node.column || []).forEach((c, i) => paths.push({
+			path: c.path || c.name, pointer: `${pointer}/column/${i}/${c.path ? "path" : "name"}`, column: c.name
+		}));
+		(node.select || []).forEach((n, i) => addPaths(n, `${pointer}/select/${i}`));
+		(node.unionAll || []).forEach((n, i) => addPaths(n, `${pointer}/unionAll/${i}`));
+	}
+	addPaths(vd, "");
+	return paths;
+}
+
 export function extractPathsFromAst(node) {
 
 	let paths = [];
@@ -143,21 +308,41 @@ export function extractPathsFromAst(node) {
 		});
 	}
 
+	//the paths of the forEach elements used as %context and %resource
+	let contextPaths = {};
+
 	function extractPaths(root, path=[]) {
-		let queue = [root];		
+		let queue = [root];
 		while (queue.length > 0) {
 			const current = queue.shift();
-			if (current.segmentType == "nav") {
-				path.push({value: current.value, fhirType: current.type.fhirType, isArray: current.type.isArray, children:[]});
+			if (current.segmentType == "root" || current.segmentType == "context") {
+				if (path && path.length) addPath(path);
+				path = current.segmentType == "root" ? [] : contextPaths[current.name] && contextPaths[current.name].slice();
+			} else if (current.segmentType == "nav") {
+				if (path) path.push({value: current.value, fhirType: current.type.fhirType, isArray: current.type.isArray, children:[]});
 			} else if (Array.isArray(current)||current.children) {
-				queue = queue.concat(current.children||current);
+				//keep nested segments (e.g., in parentheses) in path order
+				queue = (current.children||current).concat(queue);
 			} else if (current.args) {
-				current.args.forEach(a => extractPaths(a, path.slice()))
+				if (path && current.contextName) contextPaths[current.contextName] = path.slice();
+				if (path) current.args.forEach(a => extractPaths(a, path.slice()))
+				//some functions also read elements from the root of the resource
+				if (current.rootArgs) current.rootArgs.forEach(a => extractPaths(a, []))
+				//navigation after a computed value isn't read from the input data
+				if (path && current.type && current.type.isComputed) {
+					addPath(path);
+					path = null;
+				}
+				//navigation after a resolved reference continues from the contained resources
+				if (path && current.name == "resolve") {
+					addPath(path);
+					path = [{value: "contained", fhirType: "Resource", isArray: true, children: []}];
+				}
 			} else if (current.asts) {
 				current.asts.forEach(p => extractPaths(p, []))
 			}
 		}
-		addPath(path)
+		if (path) addPath(path)
 	}
 
 	extractPaths(node);
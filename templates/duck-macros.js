@@ -7,4 +7,82 @@ CREATE OR REPLACE MACRO is_true(a) AS a = true;
 CREATE OR REPLACE MACRO is_null(a) AS a IS NULL;
 CREATE OR REPLACE MACRO is_not_null(a) AS a IS NOT NULL;
 CREATE OR REPLACE MACRO as_value(a) AS if(len(a) > 1, error('unexpected collection returned'), a[1]);
+CREATE OR REPLACE MACRO all_true(a) AS len(list_filter(ifnull(a, []), el -> el = false)) = 0;
+CREATE OR REPLACE MACRO any_true(a) AS len(list_filter(ifnull(a, []), el -> el = true)) > 0;
+CREATE OR REPLACE MACRO all_false(a) AS len(list_filter(ifnull(a, []), el -> el = true)) = 0;
+CREATE OR REPLACE MACRO any_false(a) AS len(list_filter(ifnull(a, []), el -> el = false)) > 0;
+CREATE OR REPLACE MACRO is_distinct(a) AS ifnull(len(list_distinct(a)) = len(a), true);
+CREATE OR REPLACE MACRO skip_items(a, n) AS list_slice(a, greatest(n, 0) + 1, -1);
+CREATE OR REPLACE MACRO take_items(a, n) AS list_slice(a, 1, greatest(n, 0));
+CREATE OR REPLACE MACRO zero_based_substring(a, s, l := NULL) AS if(s < 0 OR s >= len(a), NULL, substring(a, s + 1, coalesce(l, len(a))));
+CREATE OR REPLACE MACRO index_of(a, s) AS strpos(a, s) - 1;
+CREATE OR REPLACE MACRO replace_matches(a, r, s) AS regexp_replace(a, r, s, 'g');
+CREATE OR REPLACE MACRO to_chars(a) AS string_split(a, '');
+CREATE OR REPLACE MACRO decimal_places(a) AS len(split_part(a::VARCHAR, '.', 2));
+CREATE OR REPLACE MACRO low_boundary_decimal(a, p) AS floor(round((a - 0.5 / pow(10, decimal_places(a))) * pow(10, p), 6)) / pow(10, p);
+CREATE OR REPLACE MACRO high_boundary_decimal(a, p) AS ceil(round((a + 0.5 / pow(10, decimal_places(a))) * pow(10, p), 6)) / pow(10, p);
+CREATE OR REPLACE MACRO date_precision_len(p) AS CASE p WHEN 4 THEN 4 WHEN 6 THEN 7 WHEN 8 THEN 10 WHEN 10 THEN 13 WHEN 12 THEN 16 WHEN 14 THEN 19 ELSE 23 END;
+CREATE OR REPLACE MACRO time_precision_len(p) AS CASE p WHEN 2 THEN 2 WHEN 4 THEN 5 WHEN 6 THEN 8 ELSE 12 END;
+CREATE OR REPLACE MACRO low_boundary_date(a, p) AS left(a || substring('0001-01-01', len(a) + 1), date_precision_len(p));
+CREATE OR REPLACE MACRO high_boundary_date(a, p) AS left(CASE len(a) WHEN 4 THEN a || '-12-31' WHEN 7 THEN strftime(last_day((a || '-01')::DATE), '%Y-%m-%d') ELSE a END, date_precision_len(p));
+CREATE OR REPLACE MACRO low_boundary_time(a, p) AS left(left(a, 12) || substring('00:00:00.000', len(left(a, 12)) + 1), time_precision_len(p));
+CREATE OR REPLACE MACRO high_boundary_time(a, p) AS left(left(a, 12) || substring('23:59:59.999', len(left(a, 12)) + 1), time_precision_len(p));
+CREATE OR REPLACE MACRO datetime_tz(a, default_tz) AS coalesce(nullif(regexp_extract(a, '(Z|[+-][0-9]{2}:[0-9]{2})$'), ''), default_tz);
+CREATE OR REPLACE MACRO low_boundary_datetime(a, p) AS if(a IS NULL, NULL, left(low_boundary_date(split_part(a, 'T', 1), 8) || 'T' || low_boundary_time(regexp_extract(a, 'T([0-9:.]*)', 1), 9), date_precision_len(p)) || if(p > 8, datetime_tz(a, '+14:00'), ''));
+CREATE OR REPLACE MACRO high_boundary_datetime(a, p) AS if(a IS NULL, NULL, left(high_boundary_date(split_part(a, 'T', 1), 8) || 'T' || high_boundary_time(regexp_extract(a, 'T([0-9:.]*)', 1), 9), date_precision_len(p)) || if(p > 8, datetime_tz(a, '-12:00'), ''));
+CREATE OR REPLACE MACRO integer_ceiling(a) AS ceil(a)::INTEGER;
+CREATE OR REPLACE MACRO integer_floor(a) AS floor(a)::INTEGER;
+CREATE OR REPLACE MACRO integer_truncate(a) AS trunc(a)::INTEGER;
+CREATE OR REPLACE MACRO decimal_round(a, p := 0) AS round(a::DOUBLE, p);
+CREATE OR REPLACE MACRO safe_sqrt(a) AS CASE WHEN a >= 0 THEN sqrt(a) END;
+CREATE OR REPLACE MACRO safe_ln(a) AS CASE WHEN a > 0 THEN ln(a) END;
+CREATE OR REPLACE MACRO safe_log(a, b) AS CASE WHEN a > 0 AND b > 0 AND b != 1 THEN ln(a) / ln(b) END;
+CREATE OR REPLACE MACRO safe_power(a, b) AS CASE WHEN a >= 0 OR b = trunc(b) THEN pow(a, b) END;
+CREATE OR REPLACE MACRO safe_divide(a, b) AS CASE WHEN b != 0 THEN a / b END;
+CREATE OR REPLACE MACRO integer_divide(a, b) AS CASE WHEN b != 0 THEN trunc(a / b)::INTEGER END;
+CREATE OR REPLACE MACRO in_list(a, b) AS CASE WHEN a IS NOT NULL THEN ifnull(list_contains(b, a), false) END;
+CREATE OR REPLACE MACRO to_string(a) AS CASE WHEN typeof(a) = 'TIMESTAMP' THEN replace(TRY_CAST(a AS VARCHAR), ' ', 'T') ELSE TRY_CAST(a AS VARCHAR) END;
+CREATE OR REPLACE MACRO to_integer(a) AS CASE WHEN typeof(a) = 'BOOLEAN' OR regexp_full_match(a::VARCHAR, '[+-]?[0-9]+') THEN TRY_CAST(a AS INTEGER) END;
+CREATE OR REPLACE MACRO to_decimal(a) AS CASE WHEN typeof(a) = 'BOOLEAN' OR regexp_full_match(a::VARCHAR, '[+-]?[0-9]+([.][0-9]+)?') THEN TRY_CAST(a AS DOUBLE) END;
+CREATE OR REPLACE MACRO converts_to_string(a) AS CASE WHEN a IS NOT NULL THEN to_string(a) IS NOT NULL END;
+CREATE OR REPLACE MACRO converts_to_integer(a) AS CASE WHEN a IS NOT NULL THEN to_integer(a) IS NOT NULL END;
+CREATE OR REPLACE MACRO converts_to_decimal(a) AS CASE WHEN a IS NOT NULL THEN to_decimal(a) IS NOT NULL END;
+CREATE OR REPLACE MACRO datetime_string(a) AS replace(a::VARCHAR, ' ', 'T');
+CREATE OR REPLACE MACRO datetime_local(a) AS regexp_replace(datetime_string(a), '(Z|[+-][0-9]{2}:[0-9]{2})$', '');
+CREATE OR REPLACE MACRO datetime_timestamp(a) AS (low_boundary_date(split_part(datetime_local(a), 'T', 1), 8) || ' ' || low_boundary_time(split_part(datetime_local(a), 'T', 2), 9))::TIMESTAMP;
+CREATE OR REPLACE MACRO tz_minutes(tz) AS CASE WHEN tz IN ('', 'Z') THEN 0 ELSE if(left(tz, 1) = '-', -1, 1) * (substr(tz, 2, 2)::INTEGER * 60 + substr(tz, 5, 2)::INTEGER) END;
+CREATE OR REPLACE MACRO datetime_key(a) AS [datetime_string(a)].list_transform(s -> CASE WHEN regexp_matches(s, '^[0-9]{2}:') THEN left(low_boundary_time(s, 9), if(len(s) >= 8, 12, len(s))) ELSE left(strftime(datetime_timestamp(s) - to_minutes(tz_minutes(datetime_tz(s, ''))), '%Y-%m-%dT%H:%M:%S.%g'), if(len(datetime_local(s)) >= 19, 23, len(datetime_local(s)))) END)[1];
+CREATE OR REPLACE MACRO native_date(a) AS TRY_CAST(low_boundary_date(left(a::VARCHAR, 10), 8) AS DATE);
+CREATE OR REPLACE MACRO native_datetime(a) AS CASE WHEN regexp_full_match(a::VARCHAR, '[0-9]{4}(-[0-9]{2}(-[0-9]{2}(T[0-9]{2}:[0-9]{2}(:[0-9]{2}([.][0-9]+)?)?(Z|[+-][0-9]{2}:[0-9]{2})?)?)?)?') THEN TRY_CAST(low_boundary_date(split_part(datetime_local(a), 'T', 1), 8) || ' ' || low_boundary_time(split_part(datetime_local(a), 'T', 2), 9) AS TIMESTAMP) - to_minutes(tz_minutes(datetime_tz(datetime_string(a), ''))) END;
+CREATE OR REPLACE MACRO native_time(a) AS TRY_CAST(low_boundary_time(a::VARCHAR, 9) AS TIME);
+CREATE OR REPLACE MACRO to_date(a) AS CASE WHEN regexp_full_match(datetime_string(a), '[0-9]{4}(-[0-9]{2}(-[0-9]{2})?)?(T.*)?') AND native_date(split_part(datetime_string(a), 'T', 1)) IS NOT NULL THEN split_part(datetime_string(a), 'T', 1) END;
+CREATE OR REPLACE MACRO to_datetime(a) AS CASE WHEN native_datetime(datetime_string(a)) IS NOT NULL THEN datetime_string(a) END;
+CREATE OR REPLACE MACRO converts_to_date(a) AS CASE WHEN a IS NOT NULL THEN to_date(a) IS NOT NULL END;
+CREATE OR REPLACE MACRO converts_to_datetime(a) AS CASE WHEN a IS NOT NULL THEN to_datetime(a) IS NOT NULL END;
+CREATE OR REPLACE MACRO strict_value(converted, original, col) AS CASE WHEN original IS NOT NULL AND converted IS NULL THEN error('unable to convert ' || original::VARCHAR || ' in column ' || col || ' to its type') ELSE converted END;
+CREATE OR REPLACE MACRO compare_keys(x, y) AS [[x, y]].list_transform(k -> CASE WHEN left(k[1], least(len(k[1]), len(k[2]))) < left(k[2], least(len(k[1]), len(k[2]))) THEN -1 WHEN left(k[1], least(len(k[1]), len(k[2]))) > left(k[2], least(len(k[1]), len(k[2]))) THEN 1 WHEN len(k[1]) = len(k[2]) THEN 0 END)[1];
+CREATE OR REPLACE MACRO compare_datetime(a, b) AS compare_keys(datetime_key(a), datetime_key(b));
+CREATE OR REPLACE MACRO add_datetime(a, i) AS CASE WHEN a IS NOT NULL THEN left(strftime(datetime_timestamp(a) + i, '%Y-%m-%dT%H:%M:%S.%g'), len(datetime_local(a))) || datetime_tz(datetime_string(a), '') END;
+CREATE OR REPLACE MACRO datetime_part(a, start, length) AS CASE WHEN regexp_matches(datetime_string(a), '^[0-9]{2}:') THEN TRY_CAST(substr(repeat(' ', 11) || datetime_string(a), start, length) AS INTEGER) WHEN len(datetime_local(a)) >= start + length - 1 THEN TRY_CAST(substr(datetime_local(a), start, length) AS INTEGER) END;
+CREATE OR REPLACE MACRO year_of(a) AS datetime_part(a, 1, 4);
+CREATE OR REPLACE MACRO month_of(a) AS datetime_part(a, 6, 2);
+CREATE OR REPLACE MACRO day_of(a) AS datetime_part(a, 9, 2);
+CREATE OR REPLACE MACRO hour_of(a) AS datetime_part(a, 12, 2);
+CREATE OR REPLACE MACRO minute_of(a) AS datetime_part(a, 15, 2);
+CREATE OR REPLACE MACRO second_of(a) AS datetime_part(a, 18, 2);
+CREATE OR REPLACE MACRO millisecond_of(a) AS CASE WHEN regexp_matches(datetime_local(a), '[.][0-9]+$') THEN left(rpad(regexp_extract(datetime_local(a), '[.]([0-9]+)$', 1), 3, '0'), 3)::INTEGER END;
+CREATE OR REPLACE MACRO today_string() AS strftime(current_date, '%Y-%m-%d');
+CREATE OR REPLACE MACRO now_string() AS strftime(timezone('UTC', current_timestamp), '%Y-%m-%dT%H:%M:%S.%g') || '+00:00';
+CREATE OR REPLACE MACRO time_of_day_string() AS strftime(current_localtimestamp(), '%H:%M:%S.%g');
+CREATE OR REPLACE MACRO coding_member_of(a, codes) AS CASE WHEN a IS NOT NULL THEN list_contains(codes, concat(a.system, '|', a.code)) END;
+CREATE OR REPLACE MACRO concept_member_of(a, codes) AS CASE WHEN a IS NOT NULL THEN ifnull(len(list_filter(a.coding, c -> list_contains(codes, concat(c.system, '|', c.code)))), 0) > 0 END;
+CREATE OR REPLACE MACRO translate_code(a, mappings) AS [{'key': a, 'mappings': mappings}].list_transform(x -> list_transform(list_filter(x.mappings, m -> m.sourceCode = x.key), m -> {'system': m.system, 'code': m.code, 'display': m.display}))[1];
+CREATE OR REPLACE MACRO translate_coding(a, mappings) AS [{'key': concat(a.system, '|', a.code), 'mappings': mappings}].list_transform(x -> list_transform(list_filter(x.mappings, m -> m.source = x.key), m -> {'system': m.system, 'code': m.code, 'display': m.display}))[1];
+CREATE OR REPLACE MACRO translate_concept(a, mappings) AS flatten(list_transform(a.coding, c -> translate_coding(c, mappings)));
+CREATE OR REPLACE MACRO reference_key(a, resource_id) AS if(starts_with(a, '#'), resource_id || a, parse_path(a, '/')[-1]);
+CREATE OR REPLACE MACRO contained_key(a, resource_id) AS resource_id || '#' || a;
+CREATE OR REPLACE MACRO resolve_contained(a, contained) AS [{'key': a, 'contained': contained}].list_transform(x -> list_filter(x.contained, c -> '#' || c.id = x.key))[1];
+CREATE OR REPLACE MACRO reference_type(a, contained) AS if(starts_with(a, '#'), resolve_contained(a, contained)[1].resourceType, parse_path(a, '/')[-2]);
+CREATE OR REPLACE MACRO resolve_reference(a, contained, resource) AS if(starts_with(a, '#'), list_filter(contained, c -> '#' || c.id = a), as_list(resource));
+CREATE OR REPLACE MACRO relative_reference(a) AS array_to_string(parse_path(a, '/')[-2:], '/');
 `.replace(/^\n|\n$/g, "");
\ No newline at end of file
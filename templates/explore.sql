@@ -2,10 +2,7 @@
 
 WITH transformed AS (
 	SELECT {{fq_sql_transform_expression}} AS result 
-	FROM read_json_auto(
-		'{{fq_input_dir}}/**/*{{fq_vd_resource}}*.ndjson'
-		{{fq_sql_input_schema}}
-	)
+	FROM {{fq_sql_input}}
 	{{fq_where_filter}}
 	LIMIT 10
 )
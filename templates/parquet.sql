@@ -3,10 +3,7 @@
 COPY (
 	WITH transformed AS (
 		SELECT {{fq_sql_transform_expression}} AS result 
-		FROM read_json_auto(
-			'{{fq_input_dir}}/**/*{{fq_vd_resource}}*.ndjson'
-			{{fq_sql_input_schema}}
-		)
+		FROM {{fq_sql_input}}
 		{{fq_where_filter}}
 	)
 	SELECT {{fq_sql_flattening_cols}}
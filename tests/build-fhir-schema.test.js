@@ -0,0 +1,86 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {expect, test, describe, beforeAll, afterAll} from "bun:test";
+
+const scriptPath = path.join(import.meta.dir, "../scripts/build-fhir-schema.js");
+
+let packageDir;
+
+const structureDefinition = (name, kind, elements, extra={}) => ({
+	resourceType: "StructureDefinition",
+	url: `http://example.org/fhir/StructureDefinition/${name}`,
+	name,
+	type: name,
+	kind,
+	derivation: "specialization",
+	snapshot: {element: elements},
+	...extra
+});
+
+//a resource, a logical model and an extension, along with files that aren't definitions
+const packageFiles = {
+	"package/package.json": {name: "example.fhir", version: "1.0.0"},
+	"package/StructureDefinition-Thing.json": structureDefinition("Thing", "resource", [
+		{path: "Thing", max: "*"},
+		{path: "Thing.id", max: "1", type: [{code: "http://hl7.org/fhirpath/System.String", extension: [{
+			url: "http://hl7.org/fhir/StructureDefinition/structuredefinition-fhir-type", valueUrl: "id"
+		}]}]},
+		{path: "Thing.value[x]", max: "1", type: [{code: "Quantity"}, {code: "string"}]},
+		{path: "Thing.note", max: "*", type: [{code: "string"}]}
+	]),
+	"package/StructureDefinition-Model.json": structureDefinition("Model", "logical", [
+		{path: "Model", max: "*"},
+		{path: "Model.part", max: "1", type: [{code: "http://example.org/fhir/StructureDefinition/Thing"}]}
+	], {type: "http://example.org/fhir/StructureDefinition/Model"}),
+	"package/StructureDefinition-color.json": structureDefinition("Color", "complex-type", [
+		{path: "Extension", max: "*"},
+		{path: "Extension.url", max: "1", type: [{code: "uri"}]},
+		{path: "Extension.value[x]", max: "1", type: [{code: "code"}]}
+	], {type: "Extension", derivation: "constraint", url: "http://example.org/fhir/StructureDefinition/color"}),
+	"package/example/Thing-example.json": structureDefinition("Example", "resource", [{path: "Example", max: "*"}])
+};
+
+function buildSchema(...args) {
+	const outputFile = path.join(packageDir, `schema-${args.length}.json`);
+	const result = Bun.spawnSync([process.execPath, scriptPath, ...args, path.join(packageDir, "example.tgz"), outputFile]);
+	if (result.exitCode) throw new Error(result.stderr.toString());
+	return JSON.parse(fs.readFileSync(outputFile, "utf-8"));
+}
+
+beforeAll(() => {
+	packageDir = fs.mkdtempSync(path.join(os.tmpdir(), "flatquack-schema-"));
+	Object.entries(packageFiles).forEach(([name, content]) => {
+		fs.mkdirSync(path.join(packageDir, path.dirname(name)), {recursive: true});
+		fs.writeFileSync(path.join(packageDir, name), JSON.stringify(content));
+	});
+	Bun.spawnSync(["tar", "-czf", path.join(packageDir, "example.tgz"), "-C", packageDir, "package"]);
+});
+
+afterAll(() => {
+	fs.rmSync(packageDir, {recursive: true, force: true});
+});
+
+describe("building a schema from a FHIR package", () => {
+
+	test("resources and logical models are read from the package", () => {
+		expect(buildSchema()).toEqual({
+			"Thing.resourceType": {t: "string"},
+			"Thing": {t: "Thing", a: true},
+			"Thing.id": {t: "id", a: false},
+			"Thing.valueQuantity": {t: "Quantity", a: false},
+			"Thing.valueString": {t: "string", a: false},
+			"Thing.note": {t: "string", a: true},
+			"Model": {t: "Model", a: true},
+			"Model.part": {t: "Thing", a: false}
+		});
+	});
+
+	test("extensions are only added with --include-extensions", () => {
+		const schema = buildSchema("--include-extensions");
+		expect(schema["http://example.org/fhir/StructureDefinition/color"]).toEqual({t: "Extension:Color", a: true});
+		expect(schema["Extension:Color"]).toEqual({t: "Extension:Color", a: true});
+		expect(schema["Extension:Color.valueCode"]).toEqual({t: "code", a: false});
+	});
+
+});
@@ -0,0 +1,117 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {pathToFileURL} from "url";
+import {expect, test, describe, beforeAll, afterAll} from "bun:test";
+
+import {templateToQuery} from "../src/query-builder.js";
+import {loadManifest, manifestFiles} from "../src/bulk-manifest.js";
+import {openMemoryDb, executeQuery} from "./test-util.js";
+import fhirSchema from "../schemas/fhir-schema-r4.json";
+
+let db;
+let exportDir;
+let manifestPath;
+
+const viewFor = resource => ({
+	resource,
+	select: [{column: [{name: "id", path: "id"}, {name: "status", path: "status"}]}]
+});
+
+const inputTemplate = `
+	WITH transformed AS (
+		SELECT {{fq_sql_transform_expression}} AS result
+		FROM {{fq_sql_input}}
+		{{fq_where_filter}}
+	)
+	SELECT {{fq_sql_flattening_cols}}
+	FROM transformed
+	{{fq_sql_flattening_tables}}
+`;
+
+function runView(view, manifest) {
+	const querySql = templateToQuery(
+		view, fhirSchema, inputTemplate, [], false, false, null, null, {manifest}
+	);
+	return executeQuery(db, querySql).then(rows => rows.sort((a, b) => a.id.localeCompare(b.id)));
+}
+
+const toNdjson = resources => resources.map(r => JSON.stringify(r)).join("\n");
+
+beforeAll(() => {
+	db = openMemoryDb();
+	exportDir = fs.mkdtempSync(path.join(os.tmpdir(), "flatquack-export-"));
+	manifestPath = path.join(exportDir, "manifest.json");
+
+	//file names from servers often don't include the resource type
+	fs.writeFileSync(path.join(exportDir, "output-1.ndjson"), toNdjson([
+		{resourceType: "Encounter", id: "e1", status: "finished"},
+		{resourceType: "Encounter", id: "e2", status: "finished"}
+	]));
+	fs.writeFileSync(path.join(exportDir, "output-2.ndjson"), toNdjson([
+		{resourceType: "Encounter", id: "e3", status: "in-progress"}
+	]));
+	fs.writeFileSync(path.join(exportDir, "output-3.ndjson"), toNdjson([
+		{resourceType: "Observation", id: "e1", status: "final"}
+	]));
+	fs.writeFileSync(path.join(exportDir, "deleted-1.ndjson"), toNdjson([{
+		resourceType: "Bundle",
+		type: "transaction",
+		entry: [
+			{request: {method: "DELETE", url: "Encounter/e2"}},
+			{request: {method: "DELETE", url: "Observation/e3"}}
+		]
+	}]));
+
+	fs.writeFileSync(manifestPath, JSON.stringify({
+		transactionTime: "2024-01-01T00:00:00Z",
+		request: "http://example.org/fhir/$export",
+		requiresAccessToken: false,
+		output: [
+			{type: "Encounter", url: "output-1.ndjson"},
+			{type: "Encounter", url: pathToFileURL(path.join(exportDir, "output-2.ndjson")).href},
+			{type: "Observation", url: "output-3.ndjson"}
+		],
+		deleted: [{type: "Bundle", url: "deleted-1.ndjson"}],
+		error: []
+	}));
+});
+
+afterAll(done => {
+	fs.rmSync(exportDir, {recursive: true, force: true});
+	db.close(() => done());
+});
+
+describe("bulk data manifests", () => {
+
+	test("file urls and paths are resolved from the manifest's directory", () => {
+		const manifest = loadManifest(manifestPath);
+		expect(manifestFiles(manifest, "Encounter")).toEqual({
+			output: [path.join(exportDir, "output-1.ndjson"), path.join(exportDir, "output-2.ndjson")],
+			deleted: [path.join(exportDir, "deleted-1.ndjson")]
+		});
+	});
+
+	test("the files for the view's resource are read without the deleted resources", async () => {
+		const manifest = loadManifest(manifestPath);
+		expect(await runView(viewFor("Encounter"), manifest)).toEqual([
+			{id: "e1", status: "finished"},
+			{id: "e3", status: "in-progress"}
+		]);
+		expect(await runView(viewFor("Observation"), manifest)).toEqual([{id: "e1", status: "final"}]);
+	});
+
+	test("resource types that weren't exported have no rows", async () => {
+		const manifest = loadManifest(manifestPath);
+		expect(await runView(viewFor("Procedure"), manifest)).toEqual([]);
+	});
+
+	test("remote files should throw an error", () => {
+		const remotePath = path.join(exportDir, "remote.json");
+		fs.writeFileSync(remotePath, JSON.stringify({
+			output: [{type: "Patient", url: "https://example.org/files/1.ndjson"}]
+		}));
+		expect(() => loadManifest(remotePath)).toThrow("Only local files can be read from a manifest");
+	});
+
+});
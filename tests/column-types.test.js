@@ -0,0 +1,138 @@
+import fs from "fs";
+import path from "path";
+import {expect, test, describe, beforeAll, afterAll} from "bun:test";
+
+import {templateToQuery} from "../src/query-builder.js";
+import {testQueryTemplate, openMemoryDb, executeQuery} from "./test-util.js";
+import fhirSchema from "../schemas/fhir-schema-r4.json";
+
+let db;
+let resourceFile;
+
+const resources = [{
+	resourceType: "Patient",
+	id: "p1",
+	birthDate: "1980-05-12",
+	deceasedDateTime: "2020-01-01T10:30:00+02:00",
+	multipleBirthInteger: 2
+}, {
+	resourceType: "Patient",
+	id: "p2",
+	birthDate: "1975",
+	deceasedBoolean: true
+}, {
+	resourceType: "Patient",
+	id: "p3",
+	deceasedDateTime: "2020-13"
+}];
+
+const view = {
+	resource: "Patient",
+	select: [{
+		column: [
+			{name: "id", path: "id", type: "id"},
+			{name: "birthDate", path: "birthDate", type: "date"},
+			{name: "deceased", path: "deceased.ofType(dateTime)", type: "dateTime"},
+			{name: "birthOrder", path: "multipleBirth.ofType(integer).toString()", type: "integer"}
+		]
+	}]
+};
+
+function buildQuery(view, columnTypes, strictTypes) {
+	return templateToQuery(
+		view, fhirSchema, testQueryTemplate, [["test_file_path", resourceFile]],
+		false, true, null, null, {columnTypes, strictTypes}
+	);
+}
+
+async function getColumnTypes(querySql) {
+	const columns = await executeQuery(db, `DESCRIBE ${querySql}`);
+	return Object.fromEntries(columns.map(c => [c.column_name, c.column_type]));
+}
+
+beforeAll(done => {
+	db = openMemoryDb();
+	resourceFile = path.join(import.meta.dir, "column-types-resources.temp.json");
+	Bun.write(resourceFile, JSON.stringify(resources));
+	done();
+});
+
+afterAll(done => {
+	if (fs.existsSync(resourceFile)) fs.unlinkSync(resourceFile);
+	db.close(() => done());
+});
+
+describe("column types", () => {
+
+	test("columns are converted to their declared type", async () => {
+		const querySql = buildQuery(view);
+		expect(await getColumnTypes(querySql)).toEqual({
+			id: "VARCHAR", birthDate: "VARCHAR", deceased: "VARCHAR", birthOrder: "INTEGER"
+		});
+		const result = await executeQuery(db, querySql);
+		expect(result.map(r => r.birthOrder)).toEqual([2, null, null]);
+	});
+
+	test("native column types for dates", async () => {
+		const querySql = buildQuery(view, "native");
+		expect(await getColumnTypes(querySql)).toEqual({
+			id: "VARCHAR", birthDate: "DATE", deceased: "TIMESTAMP", birthOrder: "INTEGER"
+		});
+		const result = await executeQuery(db, `
+			SELECT strftime(birthDate, '%Y-%m-%d') AS birthDate, strftime(deceased, '%Y-%m-%dT%H:%M') AS deceased
+			FROM (${querySql})
+		`);
+		expect(result).toEqual([
+			{birthDate: "1980-05-12", deceased: "2020-01-01T08:30"},
+			{birthDate: "1975-01-01", deceased: null},
+			{birthDate: null, deceased: null}
+		]);
+	});
+
+	test("decimal columns are output as DECIMAL", async () => {
+		const decimalView = {
+			resource: "Patient",
+			select: [{column: [
+				{name: "id", path: "id"},
+				{name: "birthOrder", path: "multipleBirth.ofType(integer)", type: "decimal"},
+				{name: "half", path: "multipleBirth.ofType(integer) / 2"}
+			]}]
+		};
+		const querySql = buildQuery(decimalView);
+		expect(await getColumnTypes(querySql)).toEqual({
+			id: "VARCHAR", birthOrder: "DECIMAL(38,18)", half: "DECIMAL(38,18)"
+		});
+		const result = await executeQuery(db, querySql);
+		expect(result.map(r => [r.birthOrder, r.half])).toEqual([[2, 1], [null, null], [null, null]]);
+	});
+
+	test("strict types should fail when a path does not return the declared type", () => {
+		const strictView = {
+			resource: "Patient",
+			select: [{column: [{name: "birthDate", path: "birthDate", type: "integer"}]}]
+		};
+		expect(() => buildQuery(strictView, "fhir", true)).toThrow("column birthDate is declared as integer but its path returns date");
+	});
+
+	test("strict types with compatible types", async () => {
+		const strictView = {
+			resource: "Patient",
+			select: [{column: [{name: "id", path: "id", type: "id"}, {name: "birthOrder", path: "multipleBirth.ofType(integer)", type: "positiveInt"}]}]
+		};
+		const result = await executeQuery(db, buildQuery(strictView, "fhir", true));
+		expect(result.map(r => r.birthOrder)).toEqual([2, null, null]);
+	});
+
+	test("strict types should fail on values that can't be converted", async () => {
+		const deceasedView = {
+			resource: "Patient",
+			select: [{column: [{name: "deceased", path: "deceased.ofType(dateTime)", type: "dateTime"}]}]
+		};
+		const result = await executeQuery(db, buildQuery(deceasedView, "native"));
+		expect(result.length).toEqual(3);
+		expect(async () => {
+			await executeQuery(db, buildQuery(deceasedView, "native", true));
+		}).toThrow(/unable to convert 2020-13 in column deceased/);
+	});
+
+});
@@ -0,0 +1,110 @@
+import {expect, test, describe} from "bun:test";
+
+import {templateToQuery} from "../src/query-builder.js";
+import {validateVd} from "../src/view-parser.js";
+import {locatePointer, formatDiagnostics} from "../src/diagnostics.js";
+import {testQueryTemplate} from "./test-util.js";
+import fhirSchema from "../schemas/fhir-schema-r4.json";
+
+function getDiagnostics(fn) {
+	try {
+		fn();
+	} catch (e) {
+		return e.diagnostics;
+	}
+}
+
+function compile(view, allowUnknownPaths, diagnostics) {
+	return templateToQuery(
+		view, fhirSchema, testQueryTemplate, [], false, false,
+		null, null, {strictTypes: true, allowUnknownPaths, diagnostics}
+	);
+}
+
+describe("diagnostics", () => {
+
+	test("validation should report all of the errors with pointers", () => {
+		const view = {
+			resource: "Patient",
+			where: [{path: 1}],
+			select: [{
+				column: [{name: "id", path: "id"}, {name: "bad name", path: "id"}]
+			}, {
+				forEach: "name",
+				forEachOrNull: "address",
+				column: [{name: "family", path: "family", collection: "yes"}]
+			}]
+		};
+		expect(getDiagnostics(() => validateVd(view)).map(d => [d.code, d.pointer])).toEqual([
+			["invalid-where", "/where/0"],
+			["invalid-column", "/select/0/column/1"],
+			["invalid-foreach", "/select/1"],
+			["invalid-column", "/select/1/column/0/collection"]
+		]);
+	});
+
+	test("syntax errors should include the span in the expression", () => {
+		const view = {
+			resource: "Patient",
+			select: [{column: [{name: "id", path: "id"}, {name: "given", path: "name.given.where(use = )"}]}]
+		};
+		const [diagnostic] = getDiagnostics(() => compile(view));
+		expect(diagnostic.code).toEqual("fhirpath-syntax");
+		expect(diagnostic.pointer).toEqual("/select/0/column/1/path");
+		expect(diagnostic.span).toEqual({start: 23, end: 24});
+	});
+
+	test("errors in columns should be collected", () => {
+		const view = {
+			resource: "Patient",
+			select: [{
+				column: [{name: "id", path: "id", type: "integer"}, {name: "birth", path: "birthDate.foo()"}]
+			}, {
+				forEach: "name",
+				column: [{name: "given", path: "given.ofType(Quantity)"}]
+			}]
+		};
+		expect(getDiagnostics(() => compile(view)).map(d => [d.pointer, d.message])).toEqual([
+			["/select/1/column/0/path", "'HumanName.given' is of type string and can never be a Quantity"]
+		]);
+		view.select.splice(1, 1);
+		expect(getDiagnostics(() => compile(view)).map(d => [d.pointer, d.message])).toEqual([
+			["/select/0/column/0/path", "column id is declared as integer but its path returns string"],
+			["/select/0/column/1/path", "function foo() is not supported"]
+		]);
+	});
+
+	test("unknown elements should be warnings when they are allowed", () => {
+		const view = {
+			resource: "Patient",
+			select: [{forEach: "name", column: [{name: "family", path: "famly"}]}]
+		};
+		expect(getDiagnostics(() => compile(view)).map(d => d.severity)).toEqual(["error"]);
+		const diagnostics = [];
+		compile(view, true, diagnostics);
+		expect(diagnostics.map(d => [d.severity, d.pointer, d.span])).toEqual([
+			["warning", "/select/0/column/0/path", {start: 0, end: 5}]
+		]);
+	});
+
+	test("pointers should be located in the view file", () => {
+		const viewText = [
+			"{",
+			'  "resource": "Patient",',
+			'  "select": [{',
+			'    "column": [{"name": "id", "path": "id"}, {"name": "family", "path": "name.famly"}]',
+			"  }]",
+			"}"
+		].join("\n");
+		expect(locatePointer(viewText, "/select/0/column/1/path")).toMatchObject({line: 4, column: 73});
+		const diagnostics = [{
+			severity: "error", code: "unknown-element", message: "Unknown element 'famly'",
+			pointer: "/select/0/column/1/path", span: {start: 5, end: 10}
+		}];
+		expect(formatDiagnostics(diagnostics, "patient.vd.json", viewText)).toEqual(
+			"patient.vd.json:4:79: error unknown-element: Unknown element 'famly' at /select/0/column/1/path (characters 5-10)"
+		);
+		expect(formatDiagnostics(diagnostics, "patient.vd.json", viewText, "json")[0]).toMatchObject({line: 4, column: 79});
+	});
+
+});
@@ -58,4 +58,134 @@ describe("e2e tests", () => {
 		const result = await executeQuery(db, querySql);	
 		expect(new Set(result)).toEqual(new Set(expected));
 	});
-});
\ No newline at end of file
+
+	test("should include the macros unchanged", async () => {
+		const viewDefinition = {
+			"resource": "QuestionnaireResponse",
+			"select": [{"column": [{"name": "linkId", "path": "item.linkId"}]}]
+		};
+		const querySql = templateToQuery(
+			viewDefinition, fhirSchema,
+			"{{fq_sql_macros}}\n" + testQueryTemplate, [["test_file_path", resourceFile]],
+			false, true
+		);
+
+		const result = await executeQuery(db, querySql);
+		expect(result).toEqual([{"linkId": "crpValue"}]);
+	});
+});
+describe("unknown elements", () => {
+
+	const view = {
+		resource: "Patient",
+		where: [{path: "actve = true"}],
+		select: [{
+			column: [{name: "family", path: "name.famly"}, {name: "deceased", path: "deceased.exists()"}]
+		}]
+	};
+
+	test("should fail with the column and similar elements", () => {
+		expect(() => {
+			templateToQuery(view, fhirSchema, testQueryTemplate, [], false, true);
+		}).toThrow([
+			"Unknown element 'famly' of HumanName in column 'family'. Did you mean 'family'?",
+			"Unknown element 'deceased' of Patient in column 'deceased'. Did you mean 'deceased.ofType(boolean)', 'deceased.ofType(dateTime)'?",
+			"Unknown element 'actve' of Patient in where[0]. Did you mean 'active'?"
+		].join("\n"));
+	});
+
+	test("should compile when unknown paths are allowed", () => {
+		const querySql = templateToQuery(
+			view, fhirSchema, testQueryTemplate, [], false, true,
+			null, null, {allowUnknownPaths: true}
+		);
+		expect(querySql).toContain("famly");
+	});
+
+});
+
+describe("environment variables", () => {
+
+	let patientFile;
+
+	const patient = {
+		resourceType: "Patient",
+		id: "p1",
+		name: [{family: "Smith", given: ["Ann", "Marie"]}, {family: "Jones", given: ["Ann"]}],
+		contained: [{resourceType: "Organization", id: "o1", name: "Clinic", telecom: [{value: "555-0100"}]}]
+	};
+
+	function runView(view) {
+		const querySql = templateToQuery(view, fhirSchema, testQueryTemplate, [["test_file_path", patientFile]], false, true);
+		return executeQuery(db, querySql);
+	}
+
+	beforeAll(() => {
+		patientFile = path.join(import.meta.dir, "e2e-env-resources.temp.json");
+		fs.writeFileSync(patientFile, JSON.stringify([patient]));
+	});
+
+	afterAll(() => {
+		if (fs.existsSync(patientFile)) fs.unlinkSync(patientFile);
+	});
+
+	test("%resource and %context inside of nested forEach elements", async () => {
+		const result = await runView({
+			resource: "Patient",
+			select: [{
+				forEach: "name",
+				select: [{
+					forEach: "given",
+					column: [
+						{name: "id", path: "%resource.id"},
+						{name: "root_id", path: "%rootResource.id"},
+						{name: "given", path: "$this"},
+						{name: "first", path: "%context = %resource.name.given.first()"}
+					]
+				}]
+			}]
+		});
+		expect(new Set(result)).toEqual(new Set([
+			{id: "p1", root_id: "p1", given: "Ann", first: true},
+			{id: "p1", root_id: "p1", given: "Marie", first: false},
+			{id: "p1", root_id: "p1", given: "Ann", first: true}
+		]));
+	});
+
+	test("%context can be used inside of functions", async () => {
+		const result = await runView({
+			resource: "Patient",
+			select: [{
+				forEach: "name",
+				column: [{name: "family", path: "family"}, {name: "middle", path: "given.where($this != %context.given.first()).exists()"}]
+			}]
+		});
+		expect(new Set(result)).toEqual(new Set([{family: "Smith", middle: true}, {family: "Jones", middle: false}]));
+	});
+
+	test("%resource is a contained resource in a forEach of contained resources", async () => {
+		const result = await runView({
+			resource: "Patient",
+			select: [{
+				forEach: "contained.ofType(Organization)",
+				select: [{
+					forEach: "telecom",
+					column: [
+						{name: "organization", path: "%resource.id"},
+						{name: "patient", path: "%rootResource.id"},
+						{name: "phone", path: "value"}
+					]
+				}]
+			}]
+		});
+		expect(result).toEqual([{organization: "o1", patient: "p1", phone: "555-0100"}]);
+	});
+
+	test("%resource for elements of a contained resource in one forEach should throw an error", () => {
+		expect(() => templateToQuery({
+			resource: "Patient",
+			select: [{forEach: "contained.ofType(Organization).telecom", column: [{name: "id", path: "%resource.id"}]}]
+		}, fhirSchema, testQueryTemplate, [], false, true)).toThrow("%resource can't be determined for the elements of a forEach inside of another resource");
+	});
+
+});
@@ -0,0 +1,48 @@
+import {expect, test, describe} from "bun:test";
+
+import {templateToQuery} from "../src/query-builder.js";
+import {findFhirRelease, loadFhirSchema, selectFhirRelease} from "../src/fhir-versions.js";
+import {testQueryTemplate} from "./test-util.js";
+
+const medicationView = (path, fhirVersion) => ({
+	resource: "MedicationRequest",
+	fhirVersion,
+	select: [{column: [{name: "id", path: "id"}, {name: "medication", path}]}]
+});
+
+describe("fhir versions", () => {
+
+	test("releases are found by name or version", () => {
+		expect(findFhirRelease("r4b").name).toEqual("R4B");
+		expect(findFhirRelease("4.0.1").name).toEqual("R4");
+		expect(findFhirRelease("5.0.0").name).toEqual("R5");
+		expect(findFhirRelease("3.0.2")).toBeUndefined();
+	});
+
+	test("the view's fhirVersion selects the schema", () => {
+		expect(selectFhirRelease(medicationView("medication", ["3.0.2", "5.0.0"])).name).toEqual("R5");
+		expect(selectFhirRelease(medicationView("medication")).name).toEqual("R4");
+	});
+
+	test("views should fail when they don't support the selected version", () => {
+		expect(() => {
+			selectFhirRelease(medicationView("medication", ["4.0.1"]), "R5");
+		}).toThrow("ViewDefinition supports FHIR 4.0.1 but FHIR R5 was selected");
+		expect(() => {
+			selectFhirRelease(medicationView("medication", ["3.0.2"]));
+		}).toThrow("No schema is included for FHIR 3.0.2");
+		expect(selectFhirRelease(medicationView("medication", ["3.0.2"]), null, true).name).toEqual("R4");
+	});
+
+	test("paths are resolved with the schema for the version", () => {
+		const r4View = medicationView("medication.ofType(CodeableConcept).text");
+		const r5View = medicationView("medication.concept.text");
+		const r4Schema = loadFhirSchema(findFhirRelease("R4"));
+		const r5Schema = loadFhirSchema(findFhirRelease("R5"));
+		expect(templateToQuery(r4View, r4Schema, testQueryTemplate)).toContain("medicationCodeableConcept");
+		expect(templateToQuery(r5View, r5Schema, testQueryTemplate)).toContain("medication.concept");
+		expect(() => templateToQuery(r5View, r4Schema, testQueryTemplate)).toThrow("Unknown element 'medication'");
+		expect(() => templateToQuery(r4View, r5Schema, testQueryTemplate)).toThrow("can never be a CodeableConcept");
+	});
+
+});
@@ -4,7 +4,8 @@ import path from "path";
 import {openMemoryDb} from "./test-util.js";
 
 import {fhirpathToAst} from "../src/fhirpath-parser.js";
-import {astToSql} from "../src/ddb-sql-builder.js"
+import {astToSql, pathsToSchema} from "../src/ddb-sql-builder.js"
+import {extractPathsFromAst} from "../src/view-parser.js";
 import fhirSchema from "../schemas/fhir-schema-r4.json";
 
 let db;
@@ -39,6 +40,12 @@ function buildQuery(fp, resourceType, schema) {
 	return astToSql(simplifiedFpAst).sql;
 }
 
+//for expressions that read elements the test resource doesn't have (e.g., contained)
+function buildInputSchema(fp, resourceType, schema) {
+	const simplifiedFpAst = fhirpathToAst(fp, resourceType, schema);
+	return pathsToSchema(extractPathsFromAst({asts: [simplifiedFpAst]}));
+}
+
 const numericObservation = {
 	resourceType: "Observation",
 	valueInteger: 12
@@ -377,7 +384,7 @@ describe("basic fhirpath to duckdb sql", () => {
 		const resource = simplePatient;
 		const target = ["456"];
 		const query = buildQuery(fp, resource.resourceType, fhirSchema);
-		const result = await testQuery(query, resource);
+		const result = await testQuery(query, resource, buildInputSchema(fp, resource.resourceType, fhirSchema));
 		expect(result).toEqual(target);
 	});
 
@@ -386,7 +393,7 @@ describe("basic fhirpath to duckdb sql", () => {
 		const resource = simplePatient;
 		const target = [];
 		const query = buildQuery(fp, resource.resourceType, fhirSchema);
-		const result = await testQuery(query, resource);
+		const result = await testQuery(query, resource, buildInputSchema(fp, resource.resourceType, fhirSchema));
 		expect(result).toEqual(target);
 	});
 
@@ -398,4 +405,1273 @@ describe("basic fhirpath to duckdb sql", () => {
 		const result = await testQuery(query, resource);
 		expect(result).toEqual(target);
 	});
-});
\ No newline at end of file
+});
+
+describe("boundary functions", () => {
+
+	const boundaryObservation = {
+		resourceType: "Observation",
+		valueQuantity: {value: 1.587},
+		effectiveDateTime: "2020",
+		component: [
+			{valueQuantity: {value: 1.5}},
+			{valueQuantity: {value: 2.25}}
+		]
+	};
+
+	test("lowBoundary of a decimal with a precision", async () => {
+		const fp = "value.ofType(Quantity).value.lowBoundary(2)";
+		const resource = boundaryObservation;
+		const target = 1.58;
+		const query = buildQuery(fp, resource.resourceType, fhirSchema);
+		const result = await testQuery(query, resource);
+		expect(result).toEqual(target);
+	});
+
+	test("lowBoundary of a number literal with a precision", async () => {
+		const fp = "1.587.lowBoundary(2)";
+		const resource = boundaryObservation;
+		const target = 1.58;
+		const query = buildQuery(fp, resource.resourceType, fhirSchema);
+		const result = await testQuery(query, resource);
+		expect(result).toEqual(target);
+	});
+
+	test("highBoundary of a partial dateTime with a precision", async () => {
+		const fp = "effective.ofType(dateTime).highBoundary(8)";
+		const resource = boundaryObservation;
+		const target = "2020-12-31";
+		const query = buildQuery(fp, resource.resourceType, fhirSchema);
+		const result = await testQuery(query, resource);
+		expect(result).toEqual(target);
+	});
+
+	test("lowBoundary on a list of decimals", async () => {
+		const fp = "component.value.ofType(Quantity).value.lowBoundary()";
+		const resource = boundaryObservation;
+		const target = [1.45, 2.245];
+		const query = buildQuery(fp, resource.resourceType, fhirSchema);
+		const result = await testQuery(query, resource);
+		expect(result).toEqual(target);
+	});
+
+	test("lowBoundary at the start of a nested where", async () => {
+		const fp = "component.where(value.ofType(Quantity).value.where(lowBoundary(1) > 2).exists()).value.ofType(Quantity).value";
+		const resource = boundaryObservation;
+		const target = [2.25];
+		const query = buildQuery(fp, resource.resourceType, fhirSchema);
+		const result = await testQuery(query, resource);
+		expect(result).toEqual(target);
+	});
+
+	test("boundary functions should fail with an invalid precision", () => {
+		const fp = "effective.ofType(dateTime).lowBoundary(7)";
+		expect(() => {
+			buildQuery(fp, "Observation", fhirSchema);
+		}).toThrow(/precision/);
+	});
+
+	test("boundary functions should fail on unsupported types", () => {
+		const fp = "status.lowBoundary()";
+		expect(() => {
+			buildQuery(fp, "Observation", fhirSchema);
+		}).toThrow(/only supported/);
+	});
+
+});
+
+describe("string functions", () => {
+
+	const stringPatient = {
+		resourceType: "Patient",
+		id: "pt-123",
+		name: [{
+			use: "official",
+			family: "Smith",
+			given: ["Jo", "Ann"]
+		},{
+			use: "nickname",
+			family: " Jones "
+		}]
+	};
+
+	test("startsWith on a scalar", async () => {
+		const fp = "id.startsWith('pt')";
+		const resource = stringPatient;
+		const target = true;
+		const query = buildQuery(fp, resource.resourceType, fhirSchema);
+		const result = await testQuery(query, resource);
+		expect(result).toEqual(target);
+	});
+
+	test("contains on a scalar", async () => {
+		const fp = "id.contains('-1')";
+		const resource = stringPatient;
+		const target = true;
+		const query = buildQuery(fp, resource.resourceType, fhirSchema);
+		const result = await testQuery(query, resource);
+		expect(result).toEqual(target);
+	});
+
+	test("matches on a scalar", async () => {
+		const fp = "id.matches('^pt-[0-9]+$')";
+		const resource = stringPatient;
+		const target = true;
+		const query = buildQuery(fp, resource.resourceType, fhirSchema);
+		const result = await testQuery(query, resource);
+		expect(result).toEqual(target);
+	});
+
+	test("substring with a start and length", async () => {
+		const fp = "id.substring(0, 2)";
+		const resource = stringPatient;
+		const target = "pt";
+		const query = buildQuery(fp, resource.resourceType, fhirSchema);
+		const result = await testQuery(query, resource);
+		expect(result).toEqual(target);
+	});
+
+	test("substring past the end should be empty", async () => {
+		const fp = "id.substring(10)";
+		const resource = stringPatient;
+		const target = null;
+		const query = buildQuery(fp, resource.resourceType, fhirSchema);
+		const result = await testQuery(query, resource);
+		expect(result).toEqual(target);
+	});
+
+	test("upper on a list", async () => {
+		const fp = "name.given.upper()";
+		const resource = stringPatient;
+		const target = ["JO", "ANN"];
+		const query = buildQuery(fp, resource.resourceType, fhirSchema);
+		const result = await testQuery(query, resource);
+		expect(result).toEqual(target);
+	});
+
+	test("replaceMatches with a capture group", async () => {
+		const fp = "id.replaceMatches('([a-z]+)-([0-9]+)', '$2-$1')";
+		const resource = stringPatient;
+		const target = "123-pt";
+		const query = buildQuery(fp, resource.resourceType, fhirSchema);
+		const result = await testQuery(query, resource);
+		expect(result).toEqual(target);
+	});
+
+	test("length on a scalar", async () => {
+		const fp = "id.length()";
+		const resource = stringPatient;
+		const target = 6;
+		const query = buildQuery(fp, resource.resourceType, fhirSchema);
+		const result = await testQuery(query, resource);
+		expect(Number(result)).toEqual(target);
+	});
+
+	test("indexOf without a match", async () => {
+		const fp = "id.indexOf('x')";
+		const resource = stringPatient;
+		const target = -1;
+		const query = buildQuery(fp, resource.resourceType, fhirSchema);
+		const result = await testQuery(query, resource);
+		expect(Number(result)).toEqual(target);
+	});
+
+	test("trim on a list", async () => {
+		const fp = "name.family.trim()";
+		const resource = stringPatient;
+		const target = ["Smith", "Jones"];
+		const query = buildQuery(fp, resource.resourceType, fhirSchema);
+		const result = await testQuery(query, resource);
+		expect(result).toEqual(target);
+	});
+
+	test("split on a scalar", async () => {
+		const fp = "id.split('-')";
+		const resource = stringPatient;
+		const target = ["pt", "123"];
+		const query = buildQuery(fp, resource.resourceType, fhirSchema);
+		const result = await testQuery(query, resource);
+		expect(result).toEqual(target);
+	});
+
+	test("toChars on a scalar", async () => {
+		const fp = "id.substring(0, 2).toChars()";
+		const resource = stringPatient;
+		const target = ["p", "t"];
+		const query = buildQuery(fp, resource.resourceType, fhirSchema);
+		const result = await testQuery(query, resource);
+		expect(result).toEqual(target);
+	});
+
+	test("string function in where", async () => {
+		const fp = "name.where(family.startsWith('Sm')).use";
+		const resource = stringPatient;
+		const target = ["official"];
+		const query = buildQuery(fp, resource.resourceType, fhirSchema);
+		const result = await testQuery(query, resource);
+		expect(result).toEqual(target);
+	});
+
+	test("string function on $this in where", async () => {
+		const fp = "name.given.where($this.endsWith('n'))";
+		const resource = stringPatient;
+		const target = ["Ann"];
+		const query = buildQuery(fp, resource.resourceType, fhirSchema);
+		const result = await testQuery(query, resource);
+		expect(result).toEqual(target);
+	});
+
+	test("string function in a nested where", async () => {
+		const fp = "name.where(given.where(length() > 2).exists()).family";
+		const resource = stringPatient;
+		const target = ["Smith"];
+		const query = buildQuery(fp, resource.resourceType, fhirSchema);
+		const result = await testQuery(query, resource);
+		expect(result).toEqual(target);
+	});
+
+	test("string function compared in a nested where", async () => {
+		const fp = "name.where(given.where(upper() = 'JO').count() > 0).use";
+		const resource = stringPatient;
+		const target = ["official"];
+		const query = buildQuery(fp, resource.resourceType, fhirSchema);
+		const result = await testQuery(query, resource);
+		expect(result).toEqual(target);
+	});
+
+	test("string literal with escapes", async () => {
+		const fp = "id.replace('\\'', '').matches('\\\\d')";
+		const resource = stringPatient;
+		const target = true;
+		const query = buildQuery(fp, resource.resourceType, fhirSchema);
+		const result = await testQuery(query, resource);
+		expect(result).toEqual(target);
+	});
+
+	test("string functions should fail with the wrong number of arguments", () => {
+		const fp = "id.startsWith()";
+		expect(() => {
+			buildQuery(fp, "Patient", fhirSchema);
+		}).toThrow(/wrong number of arguments/);
+	});
+
+});
+
+describe("collection functions", () => {
+
+	const collectionPatient = {
+		resourceType: "Patient",
+		id: "123",
+		name: [{
+			use: "official",
+			family: "f1",
+			given: ["g1", "g2", "g1"]
+		},{
+			use: "nickname",
+			family: "f2"
+		},{
+			use: "old",
+			family: "f3"
+		}]
+	};
+
+	test("count on a list", async () => {
+		const fp = "name.count()";
+		const resource = collectionPatient;
+		const target = 3;
+		const query = buildQuery(fp, resource.resourceType, fhirSchema);
+		const result = await testQuery(query, resource);
+		expect(Number(result)).toEqual(target);
+	});
+
+	test("count on an empty list", async () => {
+		const fp = "name.where(use = 'fake').count()";
+		const resource = collectionPatient;
+		const target = 0;
+		const query = buildQuery(fp, resource.resourceType, fhirSchema);
+		const result = await testQuery(query, resource);
+		expect(Number(result)).toEqual(target);
+	});
+
+	test("count on a scalar", async () => {
+		const fp = "id.count()";
+		const resource = collectionPatient;
+		const target = 1;
+		const query = buildQuery(fp, resource.resourceType, fhirSchema);
+		const result = await testQuery(query, resource);
+		expect(Number(result)).toEqual(target);
+	});
+
+	test("distinct", async () => {
+		const fp = "name.given.distinct()";
+		const resource = collectionPatient;
+		const target = ["g1", "g2"];
+		const query = buildQuery(fp, resource.resourceType, fhirSchema);
+		const result = await testQuery(query, resource);
+		expect(result.sort()).toEqual(target);
+	});
+
+	test("isDistinct", async () => {
+		const fp = "name.given.isDistinct()";
+		const resource = collectionPatient;
+		const target = false;
+		const query = buildQuery(fp, resource.resourceType, fhirSchema);
+		const result = await testQuery(query, resource);
+		expect(result).toEqual(target);
+	});
+
+	test("last", async () => {
+		const fp = "name.last().family";
+		const resource = collectionPatient;
+		const target = "f3";
+		const query = buildQuery(fp, resource.resourceType, fhirSchema);
+		const result = await testQuery(query, resource);
+		expect(result).toEqual(target);
+	});
+
+	test("tail", async () => {
+		const fp = "name.tail().family";
+		const resource = collectionPatient;
+		const target = ["f2", "f3"];
+		const query = buildQuery(fp, resource.resourceType, fhirSchema);
+		const result = await testQuery(query, resource);
+		expect(result).toEqual(target);
+	});
+
+	test("skip", async () => {
+		const fp = "name.skip(2).family";
+		const resource = collectionPatient;
+		const target = ["f3"];
+		const query = buildQuery(fp, resource.resourceType, fhirSchema);
+		const result = await testQuery(query, resource);
+		expect(result).toEqual(target);
+	});
+
+	test("take", async () => {
+		const fp = "name.take(2).family";
+		const resource = collectionPatient;
+		const target = ["f1", "f2"];
+		const query = buildQuery(fp, resource.resourceType, fhirSchema);
+		const result = await testQuery(query, resource);
+		expect(result).toEqual(target);
+	});
+
+	test("take with zero items", async () => {
+		const fp = "name.take(0).family";
+		const resource = collectionPatient;
+		const target = [];
+		const query = buildQuery(fp, resource.resourceType, fhirSchema);
+		const result = await testQuery(query, resource);
+		expect(result).toEqual(target);
+	});
+
+	test("single on a list with one item", async () => {
+		const fp = "name.where(use = 'nickname').single().family";
+		const resource = collectionPatient;
+		const target = "f2";
+		const query = buildQuery(fp, resource.resourceType, fhirSchema);
+		const result = await testQuery(query, resource);
+		expect(result).toEqual(target);
+	});
+
+	test("single should fail at runtime on a list with multiple items", async () => {
+		const fp = "name.single().family";
+		const resource = collectionPatient;
+		const query = buildQuery(fp, resource.resourceType, fhirSchema);
+		expect( async () => {
+			await testQuery(query, resource);
+		}).toThrow();
+	});
+
+	test("count in where", async () => {
+		const fp = "name.where(given.count() > 1).family";
+		const resource = collectionPatient;
+		const target = ["f1"];
+		const query = buildQuery(fp, resource.resourceType, fhirSchema);
+		const result = await testQuery(query, resource);
+		expect(result).toEqual(target);
+	});
+
+	test("collection functions at the start of a nested where", async () => {
+		const resource = collectionPatient;
+		const results = [];
+		for (const fp of ["name.where(given.where(count() = 1).exists()).family", "name.where(given.where(take(1).isDistinct()).exists()).family"]) {
+			const query = buildQuery(fp, resource.resourceType, fhirSchema);
+			results.push(await testQuery(query, resource));
+		}
+		expect(results).toEqual([["f1"], ["f1"]]);
+	});
+
+});
+
+describe("boolean collection functions", () => {
+
+	const telecomPatient = {
+		resourceType: "Patient",
+		id: "123",
+		telecom: [
+			{system: "phone", value: "555-1234"},
+			{system: "phone", value: "555-5678"}
+		],
+		communication: [
+			{language: {text: "en"}, preferred: true},
+			{language: {text: "es"}, preferred: false},
+			{language: {text: "fr"}}
+		]
+	};
+
+	test("all with criteria that match every item", async () => {
+		const fp = "telecom.all(system = 'phone')";
+		const resource = telecomPatient;
+		const query = buildQuery(fp, resource.resourceType, fhirSchema);
+		const result = await testQuery(query, resource);
+		expect(result).toEqual(true);
+	});
+
+	test("all with criteria that do not match every item", async () => {
+		const fp = "telecom.all(value.startsWith('555-1'))";
+		const resource = telecomPatient;
+		const query = buildQuery(fp, resource.resourceType, fhirSchema);
+		const result = await testQuery(query, resource);
+		expect(result).toEqual(false);
+	});
+
+	test("all on an empty collection", async () => {
+		const fp = "telecom.where(system = 'email').all(value.exists())";
+		const resource = telecomPatient;
+		const query = buildQuery(fp, resource.resourceType, fhirSchema);
+		const result = await testQuery(query, resource);
+		expect(result).toEqual(true);
+	});
+
+	test("all where the criteria is empty for an item", async () => {
+		const fp = "communication.all(preferred = false)";
+		const resource = telecomPatient;
+		const query = buildQuery(fp, resource.resourceType, fhirSchema);
+		const result = await testQuery(query, resource);
+		expect(result).toEqual(false);
+	});
+
+	test("all with a function on $this in a nested where", async () => {
+		const fp = "name.where(given.all($this.length() > 2)).family";
+		const resource = {
+			resourceType: "Patient",
+			name: [{family: "Smith", given: ["Jo", "Ann"]}, {family: "Jones", given: ["Bob"]}]
+		};
+		const target = ["Jones"];
+		const query = buildQuery(fp, resource.resourceType, fhirSchema);
+		const result = await testQuery(query, resource);
+		expect(result).toEqual(target);
+	});
+
+	test("all at the start of a where criteria", async () => {
+		const fp = "telecom.value.where(all($this.startsWith('555-5')))";
+		const resource = telecomPatient;
+		const target = ["555-5678"];
+		const query = buildQuery(fp, resource.resourceType, fhirSchema);
+		const result = await testQuery(query, resource);
+		expect(result).toEqual(target);
+	});
+
+	test("allTrue and anyTrue", async () => {
+		const fp = "_forEach(_col('all', communication.preferred.allTrue()), _col('any', communication.preferred.anyTrue()))";
+		const resource = telecomPatient;
+		const target = {all: false, any: true};
+		const query = buildQuery(fp, resource.resourceType, fhirSchema);
+		const result = await testQuery(query, resource);
+		expect(result).toEqual(target);
+	});
+
+	test("allFalse and anyFalse", async () => {
+		const fp = "_forEach(_col('all', communication.preferred.allFalse()), _col('any', communication.preferred.anyFalse()))";
+		const resource = telecomPatient;
+		const target = {all: false, any: true};
+		const query = buildQuery(fp, resource.resourceType, fhirSchema);
+		const result = await testQuery(query, resource);
+		expect(result).toEqual(target);
+	});
+
+	test("boolean aggregates at the start of a nested where", async () => {
+		const fp = "communication.where(preferred.where(allTrue()).exists()).language.text";
+		const resource = telecomPatient;
+		const target = ["en"];
+		const query = buildQuery(fp, resource.resourceType, fhirSchema);
+		const result = await testQuery(query, resource);
+		expect(result).toEqual(target);
+	});
+
+	test("boolean aggregates on an empty collection", async () => {
+		const fp = "_forEach(_col('all', active.allTrue()), _col('any', active.anyTrue()))";
+		const resource = telecomPatient;
+		const target = {all: true, any: false};
+		const query = buildQuery(fp, resource.resourceType, fhirSchema);
+		const result = await testQuery(query, resource, "{active: 'BOOLEAN'}");
+		expect(result).toEqual(target);
+	});
+
+});
+
+describe("iif function", () => {
+
+	const deceasedPatient = {
+		resourceType: "Patient",
+		id: "123",
+		deceasedBoolean: true,
+		name: [{
+			use: "official",
+			family: "f1"
+		},{
+			use: "nickname",
+			family: "f2"
+		}]
+	};
+
+	test("iif with an otherwise-result", async () => {
+		const fp = "iif(deceased.ofType(boolean), 'deceased', 'alive')";
+		const resource = deceasedPatient;
+		const target = "deceased";
+		const query = buildQuery(fp, resource.resourceType, fhirSchema);
+		const result = await testQuery(query, resource);
+		expect(result).toEqual(target);
+	});
+
+	test("iif without an otherwise-result", async () => {
+		const fp = "iif(id = 'other', 'match')";
+		const resource = deceasedPatient;
+		const target = null;
+		const query = buildQuery(fp, resource.resourceType, fhirSchema);
+		const result = await testQuery(query, resource);
+		expect(result).toEqual(target);
+	});
+
+	test("iif on a list", async () => {
+		const fp = "name.iif(use = 'official', family, 'other')";
+		const resource = deceasedPatient;
+		const target = ["f1", "other"];
+		const query = buildQuery(fp, resource.resourceType, fhirSchema);
+		const result = await testQuery(query, resource);
+		expect(result).toEqual(target);
+	});
+
+	test("iif on a scalar", async () => {
+		const fp = "name.last().iif(use = 'official', 'yes', 'no')";
+		const resource = deceasedPatient;
+		const target = "no";
+		const query = buildQuery(fp, resource.resourceType, fhirSchema);
+		const result = await testQuery(query, resource);
+		expect(result).toEqual(target);
+	});
+
+	test("iif inside where", async () => {
+		const fp = "name.where(iif(use = 'nickname', true, false)).family";
+		const resource = deceasedPatient;
+		const target = ["f2"];
+		const query = buildQuery(fp, resource.resourceType, fhirSchema);
+		const result = await testQuery(query, resource);
+		expect(result).toEqual(target);
+	});
+
+	test("navigation after iif", async () => {
+		const fp = "iif(deceased.ofType(boolean), name.first(), name.last()).family";
+		const resource = deceasedPatient;
+		const target = "f1";
+		const query = buildQuery(fp, resource.resourceType, fhirSchema);
+		const result = await testQuery(query, resource);
+		expect(result).toEqual(target);
+	});
+
+	test("iif should fail without a true-result", () => {
+		const fp = "iif(active)";
+		expect(() => {
+			buildQuery(fp, "Patient", fhirSchema);
+		}).toThrow(/iif requires/);
+	});
+
+});
+
+describe("type operators and functions", () => {
+
+	const quantityObservation = {
+		resourceType: "Observation",
+		id: "123",
+		status: "final",
+		valueQuantity: {value: 12, unit: "mg"},
+		effectiveDateTime: "2020-01-01"
+	};
+
+	const containedPatient = {
+		resourceType: "Patient",
+		id: "123",
+		contained: [
+			{resourceType: "Organization", id: "org1", name: "o1"},
+			{resourceType: "Practitioner", id: "pr1", name: [{family: "f1"}]}
+		]
+	};
+
+	test("is operator on a choice element", async () => {
+		const fp = "value is Quantity";
+		const resource = quantityObservation;
+		const query = buildQuery(fp, resource.resourceType, fhirSchema);
+		const result = await testQuery(query, resource);
+		expect(result).toEqual(true);
+	});
+
+	test("is operator on a choice element with a different type", async () => {
+		const fp = "value is CodeableConcept";
+		const resource = quantityObservation;
+		const duckSchema = "{valueCodeableConcept: 'STRUCT(text VARCHAR)'}";
+		const query = buildQuery(fp, resource.resourceType, fhirSchema);
+		const result = await testQuery(query, resource, duckSchema);
+		expect(result).toEqual(false);
+	});
+
+	test("as operator with navigation", async () => {
+		const fp = "(value as Quantity).unit";
+		const resource = quantityObservation;
+		const target = "mg";
+		const query = buildQuery(fp, resource.resourceType, fhirSchema);
+		const result = await testQuery(query, resource);
+		expect(result).toEqual(target);
+	});
+
+	test("as function with navigation", async () => {
+		const fp = "value.as(Quantity).unit";
+		const resource = quantityObservation;
+		const target = "mg";
+		const query = buildQuery(fp, resource.resourceType, fhirSchema);
+		const result = await testQuery(query, resource);
+		expect(result).toEqual(target);
+	});
+
+	test("is function on a choice element", async () => {
+		const fp = "effective.is(dateTime)";
+		const resource = quantityObservation;
+		const query = buildQuery(fp, resource.resourceType, fhirSchema);
+		const result = await testQuery(query, resource);
+		expect(result).toEqual(true);
+	});
+
+	test("is operator on an element with a compatible type", async () => {
+		const fp = "status is string";
+		const resource = quantityObservation;
+		const query = buildQuery(fp, resource.resourceType, fhirSchema);
+		const result = await testQuery(query, resource);
+		expect(result).toEqual(true);
+	});
+
+	test("ofType on resources", async () => {
+		const fp = "contained.ofType(Organization).name";
+		const resource = containedPatient;
+		const target = ["o1"];
+		const duckSchema = "{contained: 'STRUCT(resourceType VARCHAR, name VARCHAR)[]'}";
+		const query = buildQuery(fp, resource.resourceType, fhirSchema);
+		const result = await testQuery(query, resource, duckSchema);
+		expect(result).toEqual(target);
+	});
+
+	test("is operator on resources in where", async () => {
+		const fp = "contained.where($this is Practitioner).id";
+		const resource = containedPatient;
+		const target = ["pr1"];
+		const query = buildQuery(fp, resource.resourceType, fhirSchema);
+		const result = await testQuery(query, resource);
+		expect(result).toEqual(target);
+	});
+
+	test("as should fail when the type can never match", () => {
+		const fp = "status as boolean";
+		expect(() => {
+			buildQuery(fp, "Observation", fhirSchema);
+		}).toThrow(/can never be/);
+	});
+
+});
+describe("math functions and operators", () => {
+
+	const mathObservation = {
+		resourceType: "Observation",
+		valueQuantity: {value: -2.567},
+		component: [
+			{valueQuantity: {value: 4}},
+			{valueQuantity: {value: 9}}
+		]
+	};
+
+	test("abs and round with a precision", async () => {
+		const fp = "value.ofType(Quantity).value.abs().round(2)";
+		const resource = mathObservation;
+		const target = 2.57;
+		const query = buildQuery(fp, resource.resourceType, fhirSchema);
+		const result = await testQuery(query, resource);
+		expect(result).toEqual(target);
+	});
+
+	test("ceiling, floor and truncate", async () => {
+		const resource = mathObservation;
+		const results = [];
+		for (const fn of ["ceiling", "floor", "truncate"]) {
+			const query = buildQuery(`value.ofType(Quantity).value.${fn}()`, resource.resourceType, fhirSchema);
+			results.push(await testQuery(query, resource));
+		}
+		expect(results).toEqual([-2, -3, -2]);
+	});
+
+	test("sqrt on a list", async () => {
+		const fp = "component.value.ofType(Quantity).value.sqrt()";
+		const resource = mathObservation;
+		const target = [2, 3];
+		const query = buildQuery(fp, resource.resourceType, fhirSchema);
+		const result = await testQuery(query, resource);
+		expect(result).toEqual(target);
+	});
+
+	test("sqrt of a negative number is empty", async () => {
+		const fp = "value.ofType(Quantity).value.sqrt()";
+		const resource = mathObservation;
+		const target = null;
+		const query = buildQuery(fp, resource.resourceType, fhirSchema);
+		const result = await testQuery(query, resource);
+		expect(result).toEqual(target);
+	});
+
+	test("log and power", async () => {
+		const fp = "(100).log(10) + 2.power(3)";
+		const resource = mathObservation;
+		const target = 10;
+		const query = buildQuery(fp, resource.resourceType, fhirSchema);
+		const result = await testQuery(query, resource);
+		expect(result).toEqual(target);
+	});
+
+	test("div and mod", async () => {
+		const fp = "(-7 div 2) * 10 + 7 mod 4";
+		const resource = mathObservation;
+		const target = -27;
+		const query = buildQuery(fp, resource.resourceType, fhirSchema);
+		const result = await testQuery(query, resource);
+		expect(result).toEqual(target);
+	});
+
+	test("division returns a decimal", async () => {
+		const fp = "1 / 4";
+		const resource = mathObservation;
+		const target = 0.25;
+		const query = buildQuery(fp, resource.resourceType, fhirSchema);
+		const result = await testQuery(query, resource);
+		expect(result).toEqual(target);
+	});
+
+	test("division by zero is empty", async () => {
+		const fp = "(1 / 0).exists() or (1 div 0).exists()";
+		const resource = mathObservation;
+		const target = false;
+		const query = buildQuery(fp, resource.resourceType, fhirSchema);
+		const result = await testQuery(query, resource);
+		expect(result).toEqual(target);
+	});
+
+	test("string concatenation treats empty as an empty string", async () => {
+		const fp = "status & '-' & status.where($this = 'draft')";
+		const resource = {...mathObservation, status: "final"};
+		const target = "final-";
+		const query = buildQuery(fp, resource.resourceType, fhirSchema);
+		const result = await testQuery(query, resource);
+		expect(result).toEqual(target);
+	});
+
+	test("integer operands keep an integer type", () => {
+		const ast = fhirpathToAst("1 + 2 * 3", "Observation", fhirSchema);
+		expect(astToSql(ast).outputType.fhirType).toEqual("integer");
+		const decimalAst = fhirpathToAst("1 + 2 / 3", "Observation", fhirSchema);
+		expect(astToSql(decimalAst).outputType.fhirType).toEqual("decimal");
+	});
+
+});
+
+describe("membership, union and logical operators", () => {
+
+	const operatorPatient = {
+		resourceType: "Patient",
+		id: "123",
+		active: true,
+		gender: "female",
+		name: [{
+			use: "official",
+			family: "f1",
+			given: ["g1", "g2"]
+		},{
+			use: "nickname",
+			family: "f2",
+			given: ["g1"]
+		}]
+	};
+
+	test("in with a union of literals", async () => {
+		const fp = "gender in ('male' | 'female')";
+		const resource = operatorPatient;
+		const target = true;
+		const query = buildQuery(fp, resource.resourceType, fhirSchema);
+		const result = await testQuery(query, resource);
+		expect(result).toEqual(target);
+	});
+
+	test("in with an empty left operand is empty", async () => {
+		const fp = "name.where(use = 'old').family.first() in ('f1' | 'f2')";
+		const resource = operatorPatient;
+		const target = null;
+		const query = buildQuery(fp, resource.resourceType, fhirSchema);
+		const result = await testQuery(query, resource);
+		expect(result).toEqual(target);
+	});
+
+	test("contains on a list", async () => {
+		const fp = "name.given contains 'g2'";
+		const resource = operatorPatient;
+		const target = true;
+		const query = buildQuery(fp, resource.resourceType, fhirSchema);
+		const result = await testQuery(query, resource);
+		expect(result).toEqual(target);
+	});
+
+	test("contains in where", async () => {
+		const fp = "name.where(given contains 'g2').family";
+		const resource = operatorPatient;
+		const target = ["f1"];
+		const query = buildQuery(fp, resource.resourceType, fhirSchema);
+		const result = await testQuery(query, resource);
+		expect(result).toEqual(target);
+	});
+
+	test("union removes duplicates", async () => {
+		const fp = "(name.given | name.family).count()";
+		const resource = operatorPatient;
+		const target = 4;
+		const query = buildQuery(fp, resource.resourceType, fhirSchema);
+		const result = await testQuery(query, resource);
+		expect(Number(result)).toEqual(target);
+	});
+
+	test("union of numbers", async () => {
+		const resource = operatorPatient;
+		const results = [];
+		for (const fp of ["(1 | 2 | 2 | 3).count()", "(1 | 2 | 3).where($this > 2)", "2 in (1 | 2)", "(1 | 2) contains 3"]) {
+			const query = buildQuery(fp, resource.resourceType, fhirSchema);
+			results.push(await testQuery(query, resource));
+		}
+		expect(results.map(r => typeof(r) == "bigint" ? Number(r) : r)).toEqual([3, [3], true, false]);
+	});
+
+	test("implies with three-valued logic", async () => {
+		const resource = operatorPatient;
+		const results = [];
+		for (const fp of ["active implies gender = 'male'", "active.not() implies gender = 'male'", "name.where(use = 'old').family.first() = 'f1' implies active"]) {
+			const query = buildQuery(fp, resource.resourceType, fhirSchema);
+			results.push(await testQuery(query, resource));
+		}
+		expect(results).toEqual([false, true, true]);
+	});
+
+	test("xor", async () => {
+		const fp = "name.where(use = 'official' xor given contains 'g1').family";
+		const resource = operatorPatient;
+		const target = ["f2"];
+		const query = buildQuery(fp, resource.resourceType, fhirSchema);
+		const result = await testQuery(query, resource);
+		expect(result).toEqual(target);
+	});
+
+	test("xor mixed with and and or", async () => {
+		const resource = operatorPatient;
+		const results = [];
+		for (const fp of ["true xor false and false", "false and true xor true", "true or false xor true", "true xor true or true"]) {
+			const query = buildQuery(fp, resource.resourceType, fhirSchema);
+			results.push(await testQuery(query, resource));
+		}
+		expect(results).toEqual([true, true, false, true]);
+	});
+
+});
+
+describe("conversion functions", () => {
+
+	const conversionObservation = {
+		resourceType: "Observation",
+		status: "final",
+		valueString: "42",
+		issued: "2020-01-02T10:30:00Z",
+		component: [
+			{valueString: "1.5"},
+			{valueString: "abc"}
+		]
+	};
+
+	test("toInteger on a string", async () => {
+		const fp = "value.ofType(string).toInteger() + 1";
+		const resource = conversionObservation;
+		const target = 43;
+		const query = buildQuery(fp, resource.resourceType, fhirSchema);
+		const result = await testQuery(query, resource);
+		expect(result).toEqual(target);
+	});
+
+	test("toDecimal on a list with an invalid value", async () => {
+		const fp = "component.value.ofType(string).toDecimal()";
+		const resource = conversionObservation;
+		const target = [1.5, null];
+		const query = buildQuery(fp, resource.resourceType, fhirSchema);
+		const result = await testQuery(query, resource);
+		expect(result).toEqual(target);
+	});
+
+	test("toInteger on a decimal string is empty", async () => {
+		const fp = "component.value.ofType(string).first().toInteger()";
+		const resource = conversionObservation;
+		const target = null;
+		const query = buildQuery(fp, resource.resourceType, fhirSchema);
+		const result = await testQuery(query, resource);
+		expect(result).toEqual(target);
+	});
+
+	test("toString on a boolean", async () => {
+		const fp = "(status = 'final').toString()";
+		const resource = conversionObservation;
+		const target = "true";
+		const query = buildQuery(fp, resource.resourceType, fhirSchema);
+		const result = await testQuery(query, resource);
+		expect(result).toEqual(target);
+	});
+
+	test("toDate and toDateTime in comparisons", async () => {
+		const fp = "issued.toDate().toString() = '2020-01-02' and issued.toDateTime() > @2020-01-02T10:00:00";
+		const resource = conversionObservation;
+		const target = true;
+		const query = buildQuery(fp, resource.resourceType, fhirSchema);
+		const result = await testQuery(query, resource);
+		expect(result).toEqual(target);
+	});
+
+	test("toDate and toDateTime on partial values", async () => {
+		const resource = conversionObservation;
+		const results = [];
+		for (const fp of ["'2020'.toDateTime()", "'2020-03'.toDateTime()", "'2020-03'.toDate()", "'2020-13'.toDate()", "'2020-03'.toDateTime() < @2020-04"]) {
+			const query = buildQuery(fp, resource.resourceType, fhirSchema);
+			results.push(await testQuery(query, resource));
+		}
+		expect(results).toEqual(["2020", "2020-03", "2020-03", null, true]);
+	});
+
+	test("toDateTime keeps the timezone offset", async () => {
+		const resource = conversionObservation;
+		const results = [];
+		for (const fp of ["'2020-03-04T10:00:00+05:00'.toDateTime().toString()", "'2020-03-04T10:00:00+05:00'.toDateTime() = @2020-03-04T05:00:00Z", "'2020-03-04T10:00:00+05:00'.toDate()"]) {
+			const query = buildQuery(fp, resource.resourceType, fhirSchema);
+			results.push(await testQuery(query, resource));
+		}
+		expect(results).toEqual(["2020-03-04T10:00:00+05:00", true, "2020-03-04"]);
+	});
+
+	test("convertsTo functions", async () => {
+		const fp = "component.value.ofType(string).where(convertsToDecimal()).count()";
+		const resource = conversionObservation;
+		const target = 1;
+		const query = buildQuery(fp, resource.resourceType, fhirSchema);
+		const result = await testQuery(query, resource);
+		expect(Number(result)).toEqual(target);
+	});
+
+	test("conversion function in a nested where", async () => {
+		const fp = "component.where(value.ofType(string).where(toDecimal() > 1).exists()).count()";
+		const resource = conversionObservation;
+		const target = 1;
+		const query = buildQuery(fp, resource.resourceType, fhirSchema);
+		const result = await testQuery(query, resource);
+		expect(Number(result)).toEqual(target);
+	});
+
+	test("functions on literals", async () => {
+		const resource = conversionObservation;
+		const results = [];
+		for (const fp of ["'abc'.upper()", "'1.50'.toDecimal()", "true.toString()", "'2020-01-02T10:30:00Z'.toDateTime() = issued"]) {
+			const query = buildQuery(fp, resource.resourceType, fhirSchema);
+			results.push(await testQuery(query, resource));
+		}
+		expect(results).toEqual(["ABC", 1.5, "true", true]);
+	});
+
+	test("conversion functions set the output type", () => {
+		const ast = fhirpathToAst("value.ofType(string).toDecimal()", "Observation", fhirSchema);
+		expect(astToSql(ast).outputType.fhirType).toEqual("decimal");
+	});
+
+});
+
+describe("date and time functions", () => {
+
+	const datePatient = {
+		resourceType: "Patient",
+		id: "123",
+		birthDate: "1980-05",
+		deceasedDateTime: "2020-01-02T10:30:00+05:00"
+	};
+	//stop duckdb from reading the dates as timestamps
+	const dateSchema = "{birthDate: 'VARCHAR', deceasedDateTime: 'VARCHAR'}";
+
+	test("comparison with a partial date is empty when the precision is ambiguous", async () => {
+		const fp = "birthDate < @1980-05-03";
+		const resource = datePatient;
+		const target = null;
+		const query = buildQuery(fp, resource.resourceType, fhirSchema);
+		const result = await testQuery(query, resource, dateSchema);
+		expect(result).toEqual(target);
+	});
+
+	test("comparison with a partial date at a shared precision", async () => {
+		const fp = "birthDate < @1980-06-03 and birthDate >= @1979";
+		const resource = datePatient;
+		const target = true;
+		const query = buildQuery(fp, resource.resourceType, fhirSchema);
+		const result = await testQuery(query, resource, dateSchema);
+		expect(result).toEqual(target);
+	});
+
+	test("comparison of dateTimes in different timezones", async () => {
+		const fp = "deceased.ofType(dateTime) = @2020-01-02T05:30:00Z";
+		const resource = datePatient;
+		const target = true;
+		const query = buildQuery(fp, resource.resourceType, fhirSchema);
+		const result = await testQuery(query, resource, dateSchema);
+		expect(result).toEqual(target);
+	});
+
+	test("adding a calendar duration keeps the precision", async () => {
+		const fp = "birthDate + 18 years";
+		const resource = datePatient;
+		const target = "1998-05";
+		const query = buildQuery(fp, resource.resourceType, fhirSchema);
+		const result = await testQuery(query, resource, dateSchema);
+		expect(result).toEqual(target);
+	});
+
+	test("subtracting a calendar duration from a dateTime", async () => {
+		const fp = "deceased.ofType(dateTime) - 11 hours";
+		const resource = datePatient;
+		const target = "2020-01-01T23:30:00+05:00";
+		const query = buildQuery(fp, resource.resourceType, fhirSchema);
+		const result = await testQuery(query, resource, dateSchema);
+		expect(result).toEqual(target);
+	});
+
+	test("age at a date", async () => {
+		const fp = "birthDate + 18 years <= deceased.ofType(dateTime)";
+		const resource = datePatient;
+		const target = true;
+		const query = buildQuery(fp, resource.resourceType, fhirSchema);
+		const result = await testQuery(query, resource, dateSchema);
+		expect(result).toEqual(target);
+	});
+
+	test("component extraction", async () => {
+		const resource = datePatient;
+		const results = [];
+		for (const fp of ["birthDate.yearOf()", "birthDate.monthOf()", "birthDate.dayOf()", "deceased.ofType(dateTime).minuteOf()"]) {
+			const query = buildQuery(fp, resource.resourceType, fhirSchema);
+			results.push(await testQuery(query, resource, dateSchema));
+		}
+		expect(results).toEqual([1980, 5, null, 30]);
+	});
+
+	test("today, now and timeOfDay", async () => {
+		const fp = "today() > birthDate and now() > deceased.ofType(dateTime) and timeOfDay() >= @T00:00";
+		const resource = datePatient;
+		const target = true;
+		const query = buildQuery(fp, resource.resourceType, fhirSchema);
+		const result = await testQuery(query, resource, dateSchema);
+		expect(result).toEqual(target);
+	});
+
+	test("now is in UTC when the session has another timezone", async () => {
+		const fp = "now() < deceased.ofType(dateTime)";
+		const resource = {...datePatient, deceasedDateTime: new Date(Date.now() + 60 * 60 * 1000).toISOString()};
+		const query = buildQuery(fp, resource.resourceType, fhirSchema);
+		await new Promise(resolve => db.all("SET TimeZone = 'Pacific/Kiritimati'", resolve));
+		try {
+			expect(await testQuery(query, resource, dateSchema)).toEqual(true);
+		} finally {
+			await new Promise(resolve => db.all("RESET TimeZone", resolve));
+		}
+	});
+
+	test("date arithmetic should fail without a calendar duration", () => {
+		const fp = "birthDate + 5 'mg'";
+		expect(() => {
+			buildQuery(fp, "Patient", fhirSchema);
+		}).toThrow(/calendar duration/);
+	});
+
+});
+
+describe("repeat function", () => {
+
+	const nestedQuestionnaire = {
+		resourceType: "Questionnaire",
+		item: [{
+			linkId: "1",
+			item: [{linkId: "1.1", item: [{linkId: "1.1.1", item: [{linkId: "1.1.1.1"}]}]}]
+		}, {
+			linkId: "2"
+		}]
+	};
+
+	//the unrolled levels go deeper than the test data, so read it with a schema
+	function testRepeat(fp, resource, repeatDepth) {
+		const ast = fhirpathToAst(fp, resource.resourceType, fhirSchema, {}, repeatDepth);
+		const duckSchema = pathsToSchema(extractPathsFromAst({asts: [ast]}));
+		return testQuery(astToSql(ast).sql, resource, duckSchema);
+	}
+
+	test("repeat with navigation after it", async () => {
+		const fp = "repeat(item).linkId";
+		const resource = nestedQuestionnaire;
+		const target = ["1", "2", "1.1", "1.1.1", "1.1.1.1"];
+		const result = await testRepeat(fp, resource);
+		expect(result).toEqual(target);
+	});
+
+	test("repeat stops at the max depth", async () => {
+		const fp = "repeat(item).linkId";
+		const resource = nestedQuestionnaire;
+		const target = ["1", "2", "1.1"];
+		const result = await testRepeat(fp, resource, 2);
+		expect(result).toEqual(target);
+	});
+
+	test("repeat with functions on the whole collection", async () => {
+		const fp = "item.first().repeat(item).linkId.last()";
+		const resource = nestedQuestionnaire;
+		const target = "1.1.1.1";
+		const result = await testRepeat(fp, resource);
+		expect(result).toEqual(target);
+	});
+
+	test("repeat should fail when the projection does not match any elements", () => {
+		expect(() => {
+			buildQuery("repeat(answer.item).linkId", "Questionnaire", fhirSchema);
+		}).toThrow(/does not match/);
+	});
+
+});
+
+describe("extension definitions", () => {
+
+	//entries added by scripts/build-fhir-schema.js with --include-extensions
+	const extensionSchema = {
+		...fhirSchema,
+		"http://example.org/StructureDefinition/birthsex": {t: "Extension:BirthSex", a: true},
+		"Extension:BirthSex": {t: "Extension:BirthSex", a: true},
+		"Extension:BirthSex.url": {t: "uri", a: false},
+		"Extension:BirthSex.valueCode": {t: "code", a: false},
+		"http://example.org/StructureDefinition/race": {t: "Extension:Race", a: true},
+		"Extension:Race": {t: "Extension:Race", a: true},
+		"Extension:Race.url": {t: "uri", a: false},
+		"Extension:Race.extension": {t: "Extension", a: true},
+		"Extension:Race:ombCategory": {t: "Extension:Race:ombCategory", a: true},
+		"Extension:Race:ombCategory.url": {t: "uri", a: false},
+		"Extension:Race:ombCategory.valueCoding": {t: "Coding", a: false}
+	};
+
+	const patient = {
+		resourceType: "Patient",
+		extension: [{
+			url: "http://example.org/StructureDefinition/birthsex",
+			valueCode: "F"
+		}, {
+			url: "http://example.org/StructureDefinition/race",
+			extension: [{url: "ombCategory", valueCoding: {system: "urn:oid:2.16.840.1.113883.6.238", code: "2106-3"}}]
+		}]
+	};
+
+	function testExtension(fp) {
+		const ast = fhirpathToAst(fp, "Patient", extensionSchema);
+		const duckSchema = pathsToSchema(extractPathsFromAst({asts: [ast]}));
+		return testQuery(astToSql(ast).sql, patient, duckSchema);
+	}
+
+	test("value of an extension with a single type", async () => {
+		const fp = "extension('http://example.org/StructureDefinition/birthsex').value.first()";
+		expect(buildQuery(fp, "Patient", extensionSchema)).toContain("el.valueCode");
+		expect(await testExtension(fp)).toEqual("F");
+	});
+
+	test("value of an extension in a complex extension", async () => {
+		const fp = "extension('http://example.org/StructureDefinition/race').extension('ombCategory').value.code.first()";
+		expect(await testExtension(fp)).toEqual("2106-3");
+	});
+
+	test("value of an extension without a definition still needs a type", () => {
+		const fp = "extension('http://example.org/other').value";
+		expect(buildQuery(fp, "Patient", extensionSchema)).toEndWith("el.value)");
+		expect(buildQuery(fp + ".ofType(string)", "Patient", extensionSchema)).toEndWith("el.valueString)");
+	});
+
+});
+
+describe("contained resources", () => {
+
+	const medicationRequest = {
+		resourceType: "MedicationRequest",
+		id: "mr1",
+		contained: [{
+			resourceType: "Medication",
+			id: "med1",
+			code: {coding: [{system: "http://www.nlm.nih.gov/research/umls/rxnorm", code: "1049502"}]}
+		}, {
+			resourceType: "Practitioner",
+			id: "pr1"
+		}],
+		medicationReference: {reference: "#med1"},
+		requester: {reference: "#pr1"},
+		performer: {reference: "Practitioner/pr2"},
+		reasonReference: [{reference: "Condition/c1"}, {reference: "#med1"}]
+	};
+
+	function testContained(fp) {
+		const query = buildQuery(fp, medicationRequest.resourceType, fhirSchema);
+		return testQuery(query, medicationRequest, buildInputSchema(fp, medicationRequest.resourceType, fhirSchema));
+	}
+
+	test("contained resources of a type", async () => {
+		const result = await testContained("contained.ofType(Medication).code.coding.code");
+		expect(result).toEqual(["1049502"]);
+	});
+
+	test("resolve a reference to a contained resource", async () => {
+		const fp = "medication.ofType(Reference).resolve().ofType(Medication).code.coding.code";
+		expect(await testContained(fp)).toEqual(["1049502"]);
+	});
+
+	test("resolve references in a collection", async () => {
+		expect(await testContained("reasonReference.resolve().id")).toEqual(["med1"]);
+	});
+
+	test("resolve references in a where", async () => {
+		expect(await testContained("reasonReference.where(resolve().exists()).reference")).toEqual(["#med1"]);
+		expect(await testContained("reasonReference.where(getReferenceKey(Medication).exists()).reference")).toEqual(["#med1"]);
+	});
+
+	test("contained resources are keyed by their container", async () => {
+		expect(await testContained("contained.ofType(Medication).getResourceKey()")).toEqual(["mr1#med1"]);
+		expect(await testContained("medication.ofType(Reference).getReferenceKey()")).toEqual("mr1#med1");
+		expect(await testContained("reasonReference.getReferenceKey()")).toEqual(["c1", "mr1#med1"]);
+	});
+
+	test("references to contained resources are filtered by the resource's type", async () => {
+		expect(await testContained("requester.getReferenceKey(Practitioner)")).toEqual("mr1#pr1");
+		expect(await testContained("requester.getReferenceKey(Organization)")).toEqual(null);
+		expect(await testContained("performer.getReferenceKey(Practitioner)")).toEqual("pr2");
+	});
+
+	test("resolve requires a Reference", () => {
+		expect(() => buildQuery("status.resolve()", "MedicationRequest", fhirSchema)).toThrow("resolve() can only be used on a Reference");
+	});
+
+});
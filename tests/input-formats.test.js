@@ -0,0 +1,129 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {expect, test, describe, beforeAll, afterAll} from "bun:test";
+
+import {templateToQuery} from "../src/query-builder.js";
+import {inputSourceSql} from "../src/input-formats.js";
+import {openMemoryDb, executeQuery} from "./test-util.js";
+import fhirSchema from "../schemas/fhir-schema-r4.json";
+
+let db;
+let inputDir;
+
+const patients = [{
+	resourceType: "Patient",
+	id: "p1",
+	gender: "female",
+	name: [{family: "Smith", given: ["Ann"]}]
+}, {
+	resourceType: "Patient",
+	id: "p2",
+	name: [{family: "Jones"}]
+}];
+
+const observation = {resourceType: "Observation", id: "o1", status: "final"};
+
+const view = {
+	resource: "Patient",
+	select: [{
+		column: [
+			{name: "id", path: "id"},
+			{name: "family", path: "name.family.first()"}
+		]
+	}],
+	where: [{path: "gender.exists().not() or gender = 'female'"}]
+};
+
+const inputTemplate = `
+	WITH transformed AS (
+		SELECT {{fq_sql_transform_expression}} AS result
+		FROM {{fq_sql_input}}
+		{{fq_where_filter}}
+	)
+	SELECT {{fq_sql_flattening_cols}}
+	FROM transformed
+	{{fq_sql_flattening_tables}}
+`;
+
+function runView(inputFormat) {
+	const querySql = templateToQuery(
+		view, fhirSchema, inputTemplate, [["fq_input_dir", path.join(inputDir, inputFormat)]],
+		false, false, null, null, {inputFormat}
+	);
+	return executeQuery(db, querySql).then(rows => rows.sort((a, b) => a.id.localeCompare(b.id)));
+}
+
+const target = [{id: "p1", family: "Smith"}, {id: "p2", family: "Jones"}];
+
+beforeAll(async () => {
+	db = openMemoryDb();
+	inputDir = fs.mkdtempSync(path.join(os.tmpdir(), "flatquack-input-"));
+	const ndjson = patients.map(p => JSON.stringify(p)).join("\n");
+	["ndjson", "ndjson.gz", "bundle", "parquet"].forEach(f => fs.mkdirSync(path.join(inputDir, f)));
+
+	fs.writeFileSync(path.join(inputDir, "ndjson", "Patient.ndjson"), ndjson);
+	fs.writeFileSync(path.join(inputDir, "ndjson.gz", "Patient.ndjson.gz"), Bun.gzipSync(ndjson));
+
+	//a transaction bundle with another resource type and a search set bundle
+	fs.writeFileSync(path.join(inputDir, "bundle", "transaction.json"), JSON.stringify({
+		resourceType: "Bundle",
+		type: "transaction",
+		entry: [
+			{fullUrl: "urn:uuid:1", resource: patients[0], request: {method: "POST", url: "Patient"}},
+			{resource: observation, request: {method: "POST", url: "Observation"}}
+		]
+	}, null, 2));
+	fs.writeFileSync(path.join(inputDir, "bundle", "searchset.json"), JSON.stringify({
+		resourceType: "Bundle", type: "searchset", entry: [{resource: patients[1]}]
+	}));
+	//other json files in the directory aren't bundles
+	fs.writeFileSync(path.join(inputDir, "bundle", "view.json"), JSON.stringify(view));
+	fs.writeFileSync(path.join(inputDir, "bundle", "manifest.json"), JSON.stringify({
+		transactionTime: "2024-01-01T00:00:00Z", output: [{type: "Patient", url: "Patient.ndjson"}]
+	}));
+	fs.writeFileSync(path.join(inputDir, "bundle", "examples.json"), JSON.stringify({
+		description: "Example patients", entry: [{resource: {resourceType: "Patient", id: "p3"}}]
+	}));
+
+	//parquet files have their own types, so the schema projection drops the extra columns
+	const ndjsonPath = path.join(inputDir, "ndjson", "Patient.ndjson");
+	await executeQuery(db, `
+		COPY (SELECT *, 42 AS extra FROM read_json_auto('${ndjsonPath}'))
+		TO '${path.join(inputDir, "parquet", "Patient.parquet")}' (FORMAT PARQUET)
+	`);
+});
+
+afterAll(done => {
+	fs.rmSync(inputDir, {recursive: true, force: true});
+	db.close(() => done());
+});
+
+describe("input formats", () => {
+
+	test("ndjson", async () => {
+		expect(await runView("ndjson")).toEqual(target);
+	});
+
+	test("gzip compressed ndjson", async () => {
+		expect(await runView("ndjson.gz")).toEqual(target);
+	});
+
+	test("resources in bundles are filtered by type", async () => {
+		expect(await runView("bundle")).toEqual(target);
+	});
+
+	test("parquet", async () => {
+		expect(await runView("parquet")).toEqual(target);
+	});
+
+	test("bundles read the resource type with the schema", () => {
+		expect(inputSourceSql("bundle", ["id VARCHAR"])).toContain("STRUCT(resource STRUCT(resourceType VARCHAR, id VARCHAR))[]");
+		expect(inputSourceSql("bundle", ["resourceType VARCHAR"])).toContain("STRUCT(resource STRUCT(resourceType VARCHAR))[]");
+	});
+
+	test("unknown input formats should throw an error", () => {
+		expect(() => inputSourceSql("xml")).toThrow("Input format must be one of");
+	});
+
+});
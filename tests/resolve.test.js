@@ -0,0 +1,149 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {expect, test, describe, beforeAll, afterAll} from "bun:test";
+
+import {templateToQuery} from "../src/query-builder.js";
+import {loadManifest} from "../src/bulk-manifest.js";
+import {openMemoryDb, executeQuery} from "./test-util.js";
+import fhirSchema from "../schemas/fhir-schema-r4.json";
+
+let db;
+let inputDir;
+
+const medicationRequests = [{
+	resourceType: "MedicationRequest",
+	id: "mr1",
+	subject: {reference: "Patient/p1"},
+	contained: [{resourceType: "Medication", id: "med1", code: {text: "Contained"}}],
+	medicationReference: {reference: "#med1"}
+}, {
+	resourceType: "MedicationRequest",
+	id: "mr2",
+	subject: {reference: "http://example.org/fhir/Patient/p2"},
+	medicationReference: {reference: "Medication/m1"}
+}, {
+	resourceType: "MedicationRequest",
+	id: "mr3",
+	subject: {reference: "Patient/missing"}
+}];
+
+const patients = [
+	{resourceType: "Patient", id: "p1", birthDate: "2000-01-01"},
+	{resourceType: "Patient", id: "p2", birthDate: "1990-06-15"}
+];
+
+const medications = [{resourceType: "Medication", id: "m1", code: {text: "Referenced"}}];
+
+const view = {
+	resource: "MedicationRequest",
+	select: [{
+		column: [
+			{name: "id", path: "id"},
+			{name: "birth_date", path: "subject.resolve().ofType(Patient).birthDate"},
+			{name: "medication", path: "medication.ofType(Reference).resolve().ofType(Medication).code.text"}
+		]
+	}]
+};
+
+const inputTemplate = `
+	WITH transformed AS (
+		SELECT {{fq_sql_transform_expression}} AS result
+		FROM {{fq_sql_input}}
+		{{fq_where_filter}}
+	)
+	SELECT {{fq_sql_flattening_cols}}
+	FROM transformed
+	{{fq_sql_flattening_tables}}
+`;
+
+function buildQuery(view, manifest=null) {
+	return templateToQuery(
+		view, fhirSchema, inputTemplate, [["fq_input_dir", inputDir]], false, false, null, null, {manifest}
+	);
+}
+
+function runView(view, manifest) {
+	return executeQuery(db, buildQuery(view, manifest)).then(rows => rows.sort((a, b) => a.id.localeCompare(b.id)));
+}
+
+const toNdjson = resources => resources.map(r => JSON.stringify(r)).join("\n");
+
+beforeAll(() => {
+	db = openMemoryDb();
+	inputDir = fs.mkdtempSync(path.join(os.tmpdir(), "flatquack-resolve-"));
+	fs.writeFileSync(path.join(inputDir, "MedicationRequest.ndjson"), toNdjson(medicationRequests));
+	fs.writeFileSync(path.join(inputDir, "Patient.ndjson"), toNdjson(patients));
+	fs.writeFileSync(path.join(inputDir, "Medication.ndjson"), toNdjson(medications));
+});
+
+afterAll(done => {
+	fs.rmSync(inputDir, {recursive: true, force: true});
+	db.close(() => done());
+});
+
+describe("resolving references", () => {
+
+	test("referenced and contained resources are returned", async () => {
+		expect(await runView(view)).toEqual([
+			{id: "mr1", birth_date: "2000-01-01", medication: "Contained"},
+			{id: "mr2", birth_date: "1990-06-15", medication: "Referenced"},
+			{id: "mr3", birth_date: null, medication: null}
+		]);
+	});
+
+	test("resolved resources can be used in where paths", async () => {
+		const whereView = {...view, where: [{path: "subject.resolve().ofType(Patient).birthDate < @1995-01-01"}]};
+		expect(await runView(whereView)).toEqual([
+			{id: "mr2", birth_date: "1990-06-15", medication: "Referenced"}
+		]);
+	});
+
+	test("resources are read from the files in a manifest", async () => {
+		const manifestPath = path.join(inputDir, "manifest.json");
+		fs.writeFileSync(manifestPath, JSON.stringify({
+			output: [
+				{type: "MedicationRequest", url: "MedicationRequest.ndjson"},
+				{type: "Patient", url: "Patient.ndjson"}
+			]
+		}));
+		const patientView = {...view, select: [{column: view.select[0].column.slice(0, 2)}]};
+		expect(await runView(patientView, loadManifest(manifestPath))).toEqual([
+			{id: "mr1", birth_date: "2000-01-01"},
+			{id: "mr2", birth_date: "1990-06-15"},
+			{id: "mr3", birth_date: null}
+		]);
+	});
+
+	test("the same reference and type are joined once", () => {
+		const querySql = buildQuery({...view, where: [{path: "subject.resolve().ofType(Patient).exists()"}]});
+		expect(querySql.match(/LEFT JOIN/g).length).toBe(2);
+	});
+
+	test("elements of resources without a type should throw an error", () => {
+		const untypedView = {...view, select: [{column: [{name: "birth_date", path: "subject.resolve().birthDate"}]}]};
+		expect(() => buildQuery(untypedView)).toThrow("The type of the resource returned by resolve() can't be determined for 'birthDate'");
+	});
+
+	test("templates that don't read the input relation should throw an error", () => {
+		const fileTemplate = inputTemplate.replace("{{fq_sql_input}}", "read_ndjson_auto('{{fq_input_dir}}/*.ndjson')");
+		let error;
+		try {
+			templateToQuery(view, fhirSchema, fileTemplate, [["fq_input_dir", inputDir]]);
+		} catch (e) {
+			error = e;
+		}
+		expect(error.message).toBe("resolve().ofType(Patient) requires a template that reads the input with {{fq_sql_input}}");
+		expect(error.diagnostics[0].pointer).toBe("/select/0/column/1/path");
+	});
+
+	test("references that can repeat or aren't at the root should throw an error", () => {
+		const repeatingView = {...view, select: [{column: [{name: "plan", path: "basedOn.resolve().ofType(CarePlan).id"}]}]};
+		expect(() => buildQuery(repeatingView)).toThrow("can only find CarePlan resources for a single reference");
+		const nestedView = {...view, select: [{forEach: "contained.ofType(Medication)", column: [
+			{name: "manufacturer", path: "manufacturer.resolve().ofType(Organization).name"}
+		]}]};
+		expect(() => buildQuery(nestedView)).toThrow("can only find Organization resources for references from the root");
+	});
+
+});
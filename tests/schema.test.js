@@ -76,6 +76,13 @@ describe("fhirpath to duckdb sql schemas", () => {
 		expect(schema.replace(/\s*/g, "")).toEqual(target.replace(/\s*/g, ""));	
 	})
 
+	test("choice type narrowed with as", async () => {
+		const fp = "(value as Quantity).value";
+		const schema = buildSchemaSubset(fp, "Observation", fhirSchema);
+		const target = "{valueQuantity: 'STRUCT(value DOUBLE)'}";
+		expect(schema.replace(/\s*/g, "")).toEqual(target.replace(/\s*/g, ""));	
+	});
+
 	test("array", async () => {
 		const fp = "name.family";
 		const schema = buildSchemaSubset(fp, "Patient", fhirSchema);
@@ -0,0 +1,247 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {expect, test, describe, beforeAll, afterAll} from "bun:test";
+
+import {loadTerminology, expandValueSet, conceptMapToMappings} from "../src/terminology.js";
+import {templateToQuery} from "../src/query-builder.js";
+import {testQueryTemplate, openMemoryDb, executeQuery} from "./test-util.js";
+import fhirSchema from "../schemas/fhir-schema-r4.json";
+
+let db;
+let terminologyDir;
+let resourceFile;
+
+const conditionCodeSystem = {
+	resourceType: "CodeSystem",
+	url: "http://example.org/cs/conditions",
+	concept: [{
+		code: "diabetes",
+		concept: [{code: "type-1"}, {code: "type-2"}]
+	},{
+		code: "asthma"
+	}]
+};
+
+const diabetesValueSet = {
+	resourceType: "ValueSet",
+	url: "http://example.org/vs/diabetes",
+	compose: {
+		include: [{system: "http://example.org/cs/conditions"}],
+		exclude: [{system: "http://example.org/cs/conditions", concept: [{code: "asthma"}]}]
+	}
+};
+
+const expandedValueSet = {
+	resourceType: "ValueSet",
+	url: "http://example.org/vs/expanded",
+	expansion: {
+		contains: [{
+			system: "http://loinc.org", code: "1234-5",
+			contains: [{system: "http://loinc.org", code: "6789-0"}]
+		}]
+	}
+};
+
+const conditionConceptMap = {
+	resourceType: "ConceptMap",
+	url: "http://example.org/cm/conditions-to-icd10",
+	group: [{
+		source: "http://example.org/cs/conditions",
+		target: "http://hl7.org/fhir/sid/icd-10",
+		element: [{
+			code: "type-2",
+			target: [{code: "E11.9", display: "Type 2 diabetes mellitus", equivalence: "equivalent"}]
+		},{
+			code: "asthma",
+			target: [{code: "J45.909", equivalence: "wider"}, {code: "X00", equivalence: "disjoint"}]
+		}]
+	}]
+};
+
+const resources = [{
+	resourceType: "Condition",
+	id: "c1",
+	code: {coding: [{system: "http://example.org/cs/conditions", code: "type-2"}]}
+},{
+	resourceType: "Condition",
+	id: "c2",
+	code: {coding: [{system: "http://example.org/cs/conditions", code: "asthma"}]}
+}];
+
+beforeAll(done => {
+	db = openMemoryDb();
+	terminologyDir = fs.mkdtempSync(path.join(os.tmpdir(), "flatquack-terminology-"));
+	fs.writeFileSync(path.join(terminologyDir, "conditions.json"), JSON.stringify(conditionCodeSystem));
+	fs.writeFileSync(path.join(terminologyDir, "conceptmap.json"), JSON.stringify(conditionConceptMap));
+	fs.writeFileSync(path.join(terminologyDir, "valuesets.json"), JSON.stringify({
+		resourceType: "Bundle",
+		entry: [{resource: diabetesValueSet}, {resource: expandedValueSet}]
+	}));
+	resourceFile = path.join(import.meta.dir, "terminology-test-resources.temp.json");
+	Bun.write(resourceFile, JSON.stringify(resources));
+	done();
+});
+
+afterAll(done => {
+	fs.rmSync(terminologyDir, {recursive: true});
+	if (fs.existsSync(resourceFile)) fs.unlinkSync(resourceFile);
+	db.close(() => done());
+});
+
+describe("value set expansion", () => {
+
+	test("expansion with nested contains", () => {
+		const terminology = loadTerminology(terminologyDir);
+		const codes = expandValueSet("http://example.org/vs/expanded", terminology);
+		expect(codes).toEqual(["http://loinc.org|1234-5", "http://loinc.org|6789-0"]);
+	});
+
+	test("compose with a local CodeSystem and an exclude", () => {
+		const terminology = loadTerminology(terminologyDir);
+		const codes = expandValueSet("http://example.org/vs/diabetes", terminology);
+		expect(codes).toEqual([
+			"http://example.org/cs/conditions|diabetes",
+			"http://example.org/cs/conditions|type-1",
+			"http://example.org/cs/conditions|type-2"
+		]);
+	});
+
+	test("unresolved CodeSystems are reported", () => {
+		const terminology = {ValueSet: {[diabetesValueSet.url]: diabetesValueSet}, CodeSystem: {}};
+		const unresolved = [];
+		expandValueSet(diabetesValueSet.url, terminology, unresolved);
+		expect(unresolved).toEqual(["http://example.org/cs/conditions"]);
+	});
+
+	test("missing directories should fail", () => {
+		expect(() => {
+			loadTerminology(path.join(terminologyDir, "missing"));
+		}).toThrow(`Unable to read terminology directory ${path.join(terminologyDir, "missing")}`);
+	});
+
+	test("compose filters should fail", () => {
+		const terminology = {ValueSet: {"http://example.org/vs/filtered": {
+			resourceType: "ValueSet",
+			url: "http://example.org/vs/filtered",
+			compose: {include: [{system: "http://snomed.info/sct", filter: [{property: "concept", op: "is-a", value: "73211009"}]}]}
+		}}, CodeSystem: {}};
+		expect(() => {
+			expandValueSet("http://example.org/vs/filtered", terminology);
+		}).toThrow(/filter/);
+	});
+
+});
+
+describe("memberOf function", () => {
+
+	const memberOfView = (path) => ({
+		resource: "Condition",
+		select: [{
+			column: [{name: "id", path: "id"}, {name: "isDiabetes", path}]
+		}]
+	});
+
+	test("memberOf on a CodeableConcept", async () => {
+		const querySql = templateToQuery(
+			memberOfView("code.memberOf('http://example.org/vs/diabetes')"), fhirSchema,
+			testQueryTemplate, [["test_file_path", resourceFile]],
+			false, true, null, null, {terminology: loadTerminology(terminologyDir)}
+		);
+		const result = await executeQuery(db, querySql);
+		expect(result).toEqual([{id: "c1", isDiabetes: true}, {id: "c2", isDiabetes: false}]);
+	});
+
+	test("memberOf on a code in a where clause", async () => {
+		const view = {
+			...memberOfView("code.coding.code.first()"),
+			where: [{path: "code.coding.where(code.memberOf('http://example.org/vs/diabetes')).exists()"}]
+		};
+		const querySql = templateToQuery(
+			view, fhirSchema,
+			testQueryTemplate, [["test_file_path", resourceFile]],
+			false, true, null, null, {terminology: loadTerminology(terminologyDir)}
+		);
+		const result = await executeQuery(db, querySql);
+		expect(result).toEqual([{id: "c1", isDiabetes: "type-2"}]);
+	});
+
+	test("memberOf at the start of a nested where", async () => {
+		const view = {
+			...memberOfView("code.coding.code.first()"),
+			where: [{path: "code.coding.where(code.where(memberOf('http://example.org/vs/diabetes')).exists()).exists()"}]
+		};
+		const querySql = templateToQuery(
+			view, fhirSchema,
+			testQueryTemplate, [["test_file_path", resourceFile]],
+			false, true, null, null, {terminology: loadTerminology(terminologyDir)}
+		);
+		const result = await executeQuery(db, querySql);
+		expect(result).toEqual([{id: "c1", isDiabetes: "type-2"}]);
+	});
+
+	test("unresolved ValueSets should fail with a list of urls", () => {
+		expect(() => {
+			templateToQuery(
+				memberOfView("code.memberOf('http://example.org/vs/missing') and code.memberOf('http://example.org/vs/other')"),
+				fhirSchema, testQueryTemplate, [], false, true, null, null, {terminology: loadTerminology(terminologyDir)}
+			);
+		}).toThrow("http://example.org/vs/missing, http://example.org/vs/other");
+	});
+
+});
+
+describe("translate function", () => {
+
+	const translateView = (path) => ({
+		resource: "Condition",
+		select: [{
+			column: [{name: "id", path: "id"}, {name: "icd10", path}]
+		}]
+	});
+
+	test("mappings skip disjoint targets", () => {
+		const mappings = conceptMapToMappings(conditionConceptMap.url, loadTerminology(terminologyDir));
+		expect(mappings.map(m => m.code)).toEqual(["E11.9", "J45.909"]);
+	});
+
+	test("translate on a CodeableConcept", async () => {
+		const querySql = templateToQuery(
+			translateView("code.translate('http://example.org/cm/conditions-to-icd10').code.first()"), fhirSchema,
+			testQueryTemplate, [["test_file_path", resourceFile]],
+			false, true, null, null, {terminology: loadTerminology(terminologyDir)}
+		);
+		const result = await executeQuery(db, querySql);
+		expect(result).toEqual([{id: "c1", icd10: "E11.9"}, {id: "c2", icd10: "J45.909"}]);
+	});
+
+	test("translate on a code", async () => {
+		const querySql = templateToQuery(
+			translateView("code.coding.code.translate('http://example.org/cm/conditions-to-icd10').where(code = 'E11.9').display.first()"),
+			fhirSchema, testQueryTemplate, [["test_file_path", resourceFile]],
+			false, true, null, null, {terminology: loadTerminology(terminologyDir)}
+		);
+		const result = await executeQuery(db, querySql);
+		expect(result).toEqual([{id: "c1", icd10: "Type 2 diabetes mellitus"}, {id: "c2", icd10: null}]);
+	});
+
+	test("translate at the start of a nested where", async () => {
+		const querySql = templateToQuery(
+			translateView("code.coding.where(code.where(translate('http://example.org/cm/conditions-to-icd10').code = 'E11.9').exists()).code.first()"),
+			fhirSchema, testQueryTemplate, [["test_file_path", resourceFile]],
+			false, true, null, null, {terminology: loadTerminology(terminologyDir)}
+		);
+		const result = await executeQuery(db, querySql);
+		expect(result).toEqual([{id: "c1", icd10: "type-2"}, {id: "c2", icd10: null}]);
+	});
+
+	test("unresolved ConceptMaps should fail", () => {
+		expect(() => {
+			templateToQuery(
+				translateView("code.translate('http://example.org/cm/missing')"),
+				fhirSchema, testQueryTemplate, [], false, true, null, null, {terminology: loadTerminology(terminologyDir)}
+			);
+		}).toThrow("http://example.org/cm/missing");
+	});
+
+});
@@ -1,5 +1,5 @@
 import {expect, test,  describe} from "bun:test";
-import {parseVd} from "../src/view-parser.js";
+import {parseVd, parseConstants} from "../src/view-parser.js";
 
 describe("parse view definitions into superpath", () => {
 
@@ -70,7 +70,7 @@ describe("parse view definitions into superpath", () => {
 		expect(result.replace(/\s*/g, "")).toEqual(fp.replace(/\s*/g,""));
 	});
 
-	test("validation should fail for select in union", () => {
+	test("select with forEach inside of unionAll", () => {
 		const view = {
 			resource: "Observation",
 			select: [{
@@ -87,10 +87,60 @@ describe("parse view definitions into superpath", () => {
 				}]
 			}]
 		};
+		const result = parseVd(view).path;
+		const fp = `_forEach(
+			_col_collection('u_1',
+				_unionAll(
+					_rows(
+						code.coding._forEachRows(
+							_rows(_col('code', code))
+						),
+						_rows(_col('value', valueQuantity.value))
+					)
+				)
+			)
+		)`;
+		expect(result.replace(/\s*/g, "")).toEqual(fp.replace(/\s*/g,""));
+	});
+
+
+});
+
+describe("view definition constants", () => {
+
+	const view = {
+		resource: "Patient",
+		constant: [
+			{name: "name_use", valueString: "official"},
+			{name: "name_index", valueInteger: 1}
+		],
+		select: [{column: [{name: "id"}]}]
+	};
+
+	test("constants are typed by their value element", () => {
+		const result = parseConstants(view);
+		expect(result).toEqual({
+			name_use: {value: "official", fhirType: "string"},
+			name_index: {value: 1, fhirType: "integer"}
+		});
+	});
+
+	test("variables override constants and keep the constant type", () => {
+		const result = parseConstants(view, {name_index: "0", other: "x"});
+		expect(result.name_index).toEqual({value: 0, fhirType: "integer"});
+		expect(result.other).toEqual("x");
+	});
+
+	test("variables that do not match the constant type should fail", () => {
 		expect(() => {
-			parseVd(view).path
-		}).toThrow();
+			parseConstants(view, {name_index: "first"})
+		}).toThrow(/must have a value of type integer/);
 	});
 
+	test("validation should fail for constant with a mistyped value", () => {
+		expect(() => {
+			parseVd({...view, constant: [{name: "bd", valueDate: "March 1980"}]})
+		}).toThrow();
+	});
 
 });
\ No newline at end of file